@@ -0,0 +1,21 @@
+/**
+ * The system clock. Pools take a `clock` option with the same methods, which is how `testing.js` lets tests step time
+ * by hand. The globals are looked up on every call, so that they can still be faked.
+ */
+module.exports = {
+  now: function () {
+    return Date.now();
+  },
+  setTimeout: function (fn, delay) {
+    return setTimeout(fn, delay);
+  },
+  clearTimeout: function (timer) {
+    clearTimeout(timer);
+  },
+  setInterval: function (fn, delay) {
+    return setInterval(fn, delay);
+  },
+  clearInterval: function (timer) {
+    clearInterval(timer);
+  }
+};
@@ -0,0 +1,64 @@
+var util = require('util');
+
+/**
+ * Thrown (or rejected with) when the pool has no endpoint to offer.
+ *
+ * @param {String} discoveryName
+ */
+function NoEndpointsError(discoveryName) {
+  Error.captureStackTrace(this, NoEndpointsError);
+  this.name = 'NoEndpointsError';
+  this.message = 'No endpoints available for ' + discoveryName;
+  this.discoveryName = discoveryName;
+}
+util.inherits(NoEndpointsError, Error);
+
+/**
+ * Rejected with when an attempt in `pool.execute` takes too long.
+ *
+ * @param {Number} timeout  The time allowed, in milliseconds.
+ */
+function TimeoutError(timeout) {
+  Error.captureStackTrace(this, TimeoutError);
+  this.name = 'TimeoutError';
+  this.message = 'Timed out after ' + timeout + 'ms';
+  this.timeout = timeout;
+}
+util.inherits(TimeoutError, Error);
+
+/**
+ * Reported to the circuit breaker when an HTTP request through the pool gets a response with a failure status code.
+ *
+ * @param {Number} statusCode
+ * @param {String} url  The endpoint which responded.
+ */
+function HttpStatusError(statusCode, url) {
+  Error.captureStackTrace(this, HttpStatusError);
+  this.name = 'HttpStatusError';
+  this.message = url + ' responded with ' + statusCode;
+  this.statusCode = statusCode;
+  this.url = url;
+}
+util.inherits(HttpStatusError, Error);
+
+/**
+ * Rejected with by `pool.acquire` when too many requests are already waiting for an endpoint.
+ *
+ * @param {String} discoveryName
+ * @param {Number} queued  The number of requests waiting.
+ */
+function SaturatedError(discoveryName, queued) {
+  Error.captureStackTrace(this, SaturatedError);
+  this.name = 'SaturatedError';
+  this.message = queued + ' requests already waiting for an endpoint of ' + discoveryName;
+  this.discoveryName = discoveryName;
+  this.queued = queued;
+}
+util.inherits(SaturatedError, Error);
+
+module.exports = {
+  HttpStatusError: HttpStatusError,
+  NoEndpointsError: NoEndpointsError,
+  SaturatedError: SaturatedError,
+  TimeoutError: TimeoutError
+};
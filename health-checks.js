@@ -0,0 +1,147 @@
+/*globals Promise */
+var _ = require('underscore');
+var http = require('http');
+var net = require('net');
+
+var DEFAULT_TIMEOUT = 1000;
+
+/**
+ * Runs active health checks against endpoints which are out of the pool, and against endpoints as soon as they are
+ * discovered. A passing check restores the endpoint to the pool straight away, a failing one ejects it.
+ *
+ * A check is a function which takes an endpoint and returns a promise (or a value). It passes if the promise resolves
+ * with anything but `false`, and fails if it rejects or resolves with `false`. Checks are expected to enforce their own
+ * timeouts.
+ *
+ * @param {PoolManager} poolManager
+ * @param {{check: Function, interval: Number}} options
+ */
+function HealthChecker(poolManager, options) {
+  if (typeof options.check !== 'function' || !options.interval) {
+    throw new Error('Health checks need a check function and an interval');
+  }
+  this.poolManager = poolManager;
+  this.check = options.check;
+  this.interval = options.interval;
+  this._checked = {};
+  this._inFlight = {};
+  this._interval = null;
+}
+
+HealthChecker.prototype = {
+  start: function () {
+    this.stop();
+    this._interval = this.poolManager.clock.setInterval(this.run.bind(this), this.interval);
+  },
+  stop: function () {
+    this.poolManager.clock.clearInterval(this._interval);
+  },
+  /**
+   * @param {Boolean=} onlyNew  Only check endpoints which have not been checked before.
+   * @return {Promise}          Resolves when the checks have finished.
+   */
+  run: function (onlyNew) {
+    var manager = this.poolManager;
+    var checker = this;
+
+    this._checked = _.pick(this._checked, _.pluck(manager.endpoints, 'url'));
+    return Promise.all(manager.endpoints.filter(function (endpoint) {
+      var isNew = !checker._checked[endpoint.url];
+      return !checker._inFlight[endpoint.url] && (isNew || !onlyNew && !manager.isInPool(endpoint));
+    }).map(this.checkEndpoint, this)).then(_.noop);
+  },
+  checkEndpoint: function (endpoint) {
+    var manager = this.poolManager;
+    var checker = this;
+    var check = this.check;
+
+    this._checked[endpoint.url] = true;
+    this._inFlight[endpoint.url] = true;
+
+    return Promise.resolve(endpoint).then(check).then(function (result) {
+      return result === false ? new Error('Health check of ' + endpoint.url + ' failed') : null;
+    }, function (err) {
+      return err || new Error('Health check of ' + endpoint.url + ' failed');
+    }).then(function (err) {
+      delete checker._inFlight[endpoint.url];
+      if (manager.destroyed || !_.contains(manager.endpoints, endpoint)) {
+        return;
+      }
+      if (!err && !manager.isInPool(endpoint)) {
+        manager.restoreEndpoint(endpoint, { cause: 'healthCheck' });
+      } else if (err) {
+        manager.ejectEndpoint(endpoint, { cause: 'healthCheck', error: err });
+      }
+    });
+  }
+};
+
+module.exports = {
+  HealthChecker: HealthChecker,
+
+  /**
+   * Passes if a TCP connection can be opened to the endpoint.
+   *
+   * @param {{timeout: Number}=} options  `timeout`: milliseconds to wait for the connection. Default 1000.
+   */
+  tcp: function (options) {
+    var timeout = options && options.timeout || DEFAULT_TIMEOUT;
+
+    return function (endpoint) {
+      return new Promise(function (resolve, reject) {
+        var socket = net.connect({ host: endpoint.name, port: endpoint.port });
+
+        socket.setTimeout(timeout, function () {
+          socket.destroy(new Error('Timed out connecting to ' + endpoint.url));
+        });
+        socket.once('connect', function () {
+          socket.end();
+          resolve();
+        });
+        socket.once('error', reject);
+      });
+    };
+  },
+
+  /**
+   * Passes if a GET request to the endpoint gets a response with an accepted status code.
+   *
+   * @param {{path: String, timeout: Number, isHealthy: Function}=} options
+   *        - path: Path to request. Default '/'.
+   *        - timeout: Milliseconds to wait for the response. Default 1000.
+   *        - isHealthy: Called with the status code, returns whether it means the endpoint is healthy. Default 2xx or
+   *          3xx.
+   */
+  http: function (options) {
+    options = _.defaults({}, options, {
+      path: '/',
+      timeout: DEFAULT_TIMEOUT,
+      isHealthy: function (statusCode) {
+        return statusCode >= 200 && statusCode < 400;
+      }
+    });
+
+    return function (endpoint) {
+      return new Promise(function (resolve, reject) {
+        var request = http.get({
+          host: endpoint.name,
+          port: endpoint.port,
+          path: options.path,
+          agent: false
+        }, function (response) {
+          response.resume();
+          if (options.isHealthy(response.statusCode)) {
+            resolve();
+          } else {
+            reject(new Error('Health check of ' + endpoint.url + ' returned ' + response.statusCode));
+          }
+        });
+
+        request.setTimeout(options.timeout, function () {
+          request.destroy(new Error('Timed out checking ' + endpoint.url));
+        });
+        request.once('error', reject);
+      });
+    };
+  }
+};
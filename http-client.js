@@ -0,0 +1,139 @@
+var _      = require('underscore');
+var errors = require('./errors');
+var http   = require('http');
+var https  = require('https');
+var net    = require('net');
+var util   = require('util');
+
+/**
+ * Sends HTTP requests to the endpoints of a pool, and reports how they went to the circuit breaker: socket errors,
+ * timeouts and responses with a failure status code count as failures of the endpoint. Requests which the caller
+ * destroys are neutral, unless they are destroyed with a `TimeoutError`.
+ */
+
+function isServerError(statusCode) {
+  return statusCode >= 500;
+}
+
+/**
+ * @param {EndpointPool} pool
+ * @param {Object} options  As for `http.request`, except that the host and port come from the pool, plus:
+ *                          - protocol: 'http:' (the default) or 'https:'.
+ *                          - key: Sent to `pool.getEndpoint(key)`.
+ *                          - timeout: Milliseconds of inactivity after which the request fails with a `TimeoutError`.
+ *                            Default 0, meaning no timeout.
+ *                          - isFailureStatus: Called with the status code of the response, returns whether it is a
+ *                            failure of the endpoint. Default 5xx.
+ * @param {Function=} callback  Called with the response, as for `http.request`.
+ * @return {http.ClientRequest}  The request, which also has the `endpoint` lease it was sent to.
+ * @throws {NoEndpointsError}    If the pool has no endpoint to offer.
+ */
+function request(pool, options, callback) {
+  var endpoint = pool.getEndpoint(options.key);
+  var transport = options.protocol === 'https:' ? https : http;
+  var req;
+
+  if (!endpoint) {
+    throw new errors.NoEndpointsError(pool.discoveryName);
+  }
+  req = transport.request(_.extend(
+    _.omit(options, 'key', 'timeout', 'isFailureStatus', 'hostname'),
+    getEndpointOptions(endpoint, options, transport === https)
+  ), callback);
+  req.endpoint = endpoint;
+  reportOutcome(req, endpoint, options.isFailureStatus || isServerError);
+
+  if (options.timeout) {
+    req.setTimeout(options.timeout, function () {
+      req.destroy(new errors.TimeoutError(options.timeout));
+    });
+  }
+  return req;
+}
+
+function reportOutcome(req, endpoint, isFailureStatus) {
+  var report = _.once(endpoint.callback);
+
+  req.once('response', function (response) {
+    var failed = isFailureStatus(response.statusCode);
+    report(failed ? new errors.HttpStatusError(response.statusCode, endpoint.url) : null, { result: response });
+  });
+  req.once('error', function (err) {
+    // a request destroyed by the caller says nothing about the endpoint, unless it was for taking too long
+    if (req.destroyed && !(err instanceof errors.TimeoutError)) {
+      report(null, { outcome: 'neutral' });
+    } else {
+      report(err);
+    }
+  });
+  req.once('close', function () {
+    report(null, { outcome: 'neutral' });
+  });
+}
+
+// Left to itself, Node checks the certificate against the Host header of the request, which may name the service rather
+// than the endpoint. HTTPS requests get the endpoint's name as their `servername` instead, unless they have one or it is
+// an IP address, which TLS has no use for.
+function getEndpointOptions(endpoint, options, secure) {
+  var endpointOptions = { host: endpoint.name, port: endpoint.port };
+  if (secure && !options.servername && !net.isIP(endpoint.name)) {
+    endpointOptions.servername = endpoint.name;
+  }
+  return endpointOptions;
+}
+
+// Sends the request to the next endpoint of the agent's pool, whatever host it was made for. Sockets are kept per
+// endpoint, as usual.
+function addPoolRequest(agent, baseAddRequest, req, options) {
+  var endpoint = agent.pool.getEndpoint();
+  if (!endpoint) {
+    req.onSocket(null, new errors.NoEndpointsError(agent.pool.discoveryName));
+    return;
+  }
+  req.endpoint = endpoint;
+  reportOutcome(req, endpoint, agent.isFailureStatus);
+  baseAddRequest.call(agent, req, _.extend({}, options, getEndpointOptions(endpoint, options, agent instanceof HttpsAgent)));
+}
+
+/**
+ * An `http.Agent` for clients which take a custom agent. The host in their requests is only used in the `Host` header.
+ *
+ * @param {EndpointPool} pool
+ * @param {Object=} options  As for `http.Agent`, plus `isFailureStatus`, as for `request`.
+ */
+function Agent(pool, options) {
+  options = options || {};
+  http.Agent.call(this, _.omit(options, 'isFailureStatus'));
+  this.pool = pool;
+  this.isFailureStatus = options.isFailureStatus || isServerError;
+}
+util.inherits(Agent, http.Agent);
+
+Agent.prototype.addRequest = function (req, options) {
+  addPoolRequest(this, http.Agent.prototype.addRequest, req, options);
+};
+
+/**
+ * As `Agent`, for HTTPS. Certificates are checked against the endpoint's name, unless a `servername` is given to the
+ * agent or the request.
+ *
+ * @param {EndpointPool} pool
+ * @param {Object=} options  As for `https.Agent`, plus `isFailureStatus`, as for `request`.
+ */
+function HttpsAgent(pool, options) {
+  options = options || {};
+  https.Agent.call(this, _.omit(options, 'isFailureStatus'));
+  this.pool = pool;
+  this.isFailureStatus = options.isFailureStatus || isServerError;
+}
+util.inherits(HttpsAgent, https.Agent);
+
+HttpsAgent.prototype.addRequest = function (req, options) {
+  addPoolRequest(this, https.Agent.prototype.addRequest, req, options);
+};
+
+module.exports = {
+  request: request,
+  Agent: Agent,
+  HttpsAgent: HttpsAgent
+};
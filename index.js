@@ -1,14 +1,71 @@
+/*globals Promise */
 var EndpointPool;
-var _           = require('underscore');
-var dns         = require('dns');
-var Events      = require('events');
-var PoolManager = require('./pool-manager');
-var util        = require('util');
+var _            = require('underscore');
+var dns          = require('dns');
+var errors       = require('./errors');
+var Events       = require('events');
+var healthChecks = require('./health-checks');
+var httpClient   = require('./http-client');
+var metrics      = require('./metrics');
+var PoolManager  = require('./pool-manager');
+var RetryBudget  = require('./retry-budget');
+var snapshots    = require('./snapshots');
+var sources      = require('./sources');
+var strategies   = require('./strategies');
+var systemClock  = require('./clock');
+var util         = require('util');
 
 var DNS_LOOKUP_TIMEOUT = 1000;
+var DEFAULT_MIN_TTL = 1000;
+var DEFAULT_MAX_SNAPSHOT_AGE = 24 * 60 * 60 * 1000;
+var DEFAULT_MAX_QUEUED = 100;
+var DEFAULT_ACCEPT_SHRINK_AFTER = 3;
+var DEFAULT_ACQUIRE_TIMEOUT = 1000;
+var DEFAULT_RETRY_BACKOFF = {
+  initialDelay: 1000,
+  maxDelay: Infinity,
+  multiplier: 2,
+  jitter: 0.5
+};
+var DEFAULT_RETRY_BUDGET = {
+  ratio: 0.2,
+  minRetries: 10,
+  window: 10000
+};
+var POOL_MANAGER_EVENTS = [
+  'endpointEjected',
+  'endpointHalfOpen',
+  'endpointRestored',
+  'endpointsAdded',
+  'endpointsRemoved',
+  'leaseExpired',
+  'leaseReportedLate',
+  'leaseReportedTwice',
+  'endpointDrained',
+  'overrideChanged',
+  'panicModeEntered',
+  'panicModeExited'
+];
+// after which there may be an endpoint for requests waiting in `acquire()`, or none left to wait for
+var CAPACITY_EVENTS = [
+  'requestEnded',
+  'endpointsAdded',
+  'endpointsRemoved',
+  'endpointEjected',
+  'endpointHalfOpen',
+  'endpointRestored',
+  'overrideChanged'
+];
+var DEFAULT_EXECUTE_OPTIONS = {
+  retries: 2,
+  timeout: 0,
+  backoff: null,
+  shouldRetry: _.constant(true)
+};
 
 /**
- * @param {String}    discoveryName       The name of the service discovery host
+ * @param {String}    discoveryName       The name of the service discovery host. Looked up as SRV records unless a
+ *                                        `source` option is given.
  * @param {Number}    ttl                 How long the endpoints are valid for. The service discovery endpoint will be checked on
  *                                        this interval.
  * @param {{maxFailures: Number, failureWindow: Number, resetTimeout: Number}}
@@ -16,41 +73,192 @@ var DNS_LOOKUP_TIMEOUT = 1000;
  *                                        - maxFailures: Number of failures allowed before the endpoint circuit breaker is tripped.
  *                                        - failureWindow: Size of the sliding window of time in which the failures are counted.
  *                                        - resetTimeout: Amount of time before putting the circuit back into half open state.
- * @param {Function=} onReady       Callback to execute when endpoints have been primed (updated for the first time)
+ * @param {(Function|Object)=}
+ *                    options             Either the `onReady` callback, or an object with any of the following:
+ *                                        - onReady: Callback to execute when endpoints have been primed (updated for the
+ *                                          first time)
+ *                                        - strategy: Load-balancing strategy, either the name of a built-in one
+ *                                          ('round-robin', 'random', 'least-outstanding', 'power-of-two-choices') or an
+ *                                          object implementing `select(candidates, poolManager)`. See `strategies.js`.
+ *                                        - source: Where to discover endpoints: an object implementing `resolve(callback)`
+ *                                          (see `sources.js`), an async function returning the records, or a static
+ *                                          array of records.
+ *                                        - useRecordTtl: Schedule refreshes from the smallest TTL of the resolved records
+ *                                          (in seconds, as DNS gives them), falling back to `ttl` when there are none.
+ *                                          Not for SRV sources, which never give TTLs.
+ *                                        - minTtl, maxTtl: Bounds in milliseconds for record TTLs. Default to 1000 and
+ *                                          `ttl`.
+ *                                        - retryBackoff: Retry failed updates with jittered exponential backoff instead
+ *                                          of after `ttl`. `true`, or an object with any of `initialDelay` (default 1000)
+ *                                          and `maxDelay` (default none) in milliseconds, `multiplier` (default 2) and
+ *                                          `jitter` (0 to 1, default 0.5).
+ *                                        - retryBudget: Limits the retries made by `execute` across the pool: an object
+ *                                          with `ratio` of retries to requests (default 0.2), `minRetries` always allowed
+ *                                          (default 10) and the `window` in milliseconds (default 10000), or `false` for
+ *                                          no limit.
+ *                                        - healthCheck: Actively check endpoints which are out of the pool, and new
+ *                                          endpoints. An object with a `check` function (see `health-checks.js`) and the
+ *                                          `interval` in milliseconds. Needs `ejectOnErrorConfig`.
+ *                                        - latencySmoothing: Weight of each new measurement in the latency averages.
+ *                                        - slowStart: Ramp up the weight of new and recovered endpoints. An object with
+ *                                          the `window` in milliseconds, and optionally the `minWeight` to start from
+ *                                          (above 0 and at most 1, default 0.1) and the `curve` to ramp along (default
+ *                                          linear).
+ *                                        - maxShrinkPercent, minEndpoints: Reject updates which would remove more than
+ *                                          this percentage of the endpoints, or leave fewer than this many.
+ *                                        - acceptShrinkAfter: Accept such an update anyway once the same answer has
+ *                                          come back this many times in a row. Default 3, `Infinity` for never.
+ *                                        - removalGracePeriod: How long (in milliseconds) to keep endpoints which have
+ *                                          disappeared in the pool, so that they keep their state if they come back.
+ *                                        - leaseTimeout: How long (in milliseconds) a caller has to report the outcome
+ *                                          of using an endpoint, before it is counted as a `leaseTimeoutOutcome`
+ *                                          ('failure' by default, or 'neutral').
+ *                                        - isFailure: Classifies the outcome of a request, given the `err` and `result`
+ *                                          reported to the endpoint's callback: returns whether the endpoint failed,
+ *                                          or 'neutral' if the request says nothing about the endpoint.
+ *                                        - snapshotStore: Where to save the endpoints after each successful update, and
+ *                                          to seed the pool from on construction. See `snapshots.js`.
+ *                                        - maxSnapshotAge: The oldest snapshot (in milliseconds) to seed the pool from.
+ *                                          Default one day.
+ *                                        - maxConcurrentPerEndpoint: Skip endpoints with this many requests in flight.
+ *                                        - maxConcurrent: Hand out no endpoint while this many requests are in flight
+ *                                          across the pool.
+ *                                        - maxQueued: How many requests can wait in `acquire()`. Default 100.
+ *                                        - acquireTimeout: How long (in milliseconds) requests wait in `acquire()` by
+ *                                          default. Default 1000.
+ *                                        - clock: What the pool reads the time from and sets its timers with. Defaults
+ *                                          to the system clock; see `clock.js`, and `testing.js` for one to step by hand.
+ *                                        - unref: Don't let the pool's timers keep the process alive.
  */
-module.exports = EndpointPool = function (discoveryName, ttl, ejectOnErrorConfig, onReady) {
+module.exports = EndpointPool = function (discoveryName, ttl, ejectOnErrorConfig, options) {
   if (!discoveryName || !ttl) {
     throw new Error('Must supply all arguments');
   }
 
+  if (typeof options === 'function') {
+    options = { onReady: options };
+  }
+  options = options || {};
+
+  this.clock = options.unref ? unrefTimers(options.clock || systemClock) : options.clock || systemClock;
+
+  var managerOptions = _.pick(options, 'strategy', 'latencySmoothing', 'slowStart', 'removalGracePeriod', 'leaseTimeout',
+    'leaseTimeoutOutcome', 'isFailure', 'maxConcurrentPerEndpoint', 'maxConcurrent');
+  managerOptions.clock = this.clock;
   if (ejectOnErrorConfig) {
-    this.poolManager = PoolManager.ejectOnErrorPoolManager(ejectOnErrorConfig);
+    this.poolManager = PoolManager.ejectOnErrorPoolManager(ejectOnErrorConfig, managerOptions);
   } else {
-    this.poolManager = PoolManager.defaultPoolManager();
+    this.poolManager = PoolManager.defaultPoolManager(managerOptions);
   }
 
   Events.EventEmitter.call(this);
 
+  POOL_MANAGER_EVENTS.forEach(function (eventName) {
+    this.poolManager.on(eventName, this.emit.bind(this, eventName));
+  }, this);
+  CAPACITY_EVENTS.forEach(function (eventName) {
+    this.poolManager.on(eventName, this.drainQueue.bind(this));
+  }, this);
+
   this.discoveryName = discoveryName;
+  this.source = options.source ? sources.create(options.source) : sources.srv(discoveryName);
   this.ttl = ttl;
+  this.useRecordTtl = !!options.useRecordTtl;
+  if (this.useRecordTtl && this.source.hasTtls === false) {
+    throw new Error('useRecordTtl needs a source which gives record TTLs, which SRV lookups do not');
+  }
+  this.minTtl = options.minTtl != null ? options.minTtl : DEFAULT_MIN_TTL;
+  this.maxTtl = options.maxTtl != null ? options.maxTtl : ttl;
+  this._maxTtlFollowsTtl = options.maxTtl == null;
+  this.retryBackoff = options.retryBackoff ? getBackoffOptions(options.retryBackoff) : null;
+  this.retryBudget = options.retryBudget === false ?
+    null :
+    new RetryBudget(_.defaults({ clock: this.clock }, options.retryBudget, DEFAULT_RETRY_BUDGET));
+  this.maxShrinkPercent = options.maxShrinkPercent != null ? options.maxShrinkPercent : 100;
+  this.minEndpoints = options.minEndpoints || 0;
+  this.acceptShrinkAfter = options.acceptShrinkAfter || DEFAULT_ACCEPT_SHRINK_AFTER;
+  this._rejectedShrink = null;
+  this.maxQueued = options.maxQueued != null ? options.maxQueued : DEFAULT_MAX_QUEUED;
+  this.acquireTimeout = options.acquireTimeout != null ? options.acquireTimeout : DEFAULT_ACQUIRE_TIMEOUT;
+  this._queue = [];
+  this._lookups = [];
+  this._executeTimers = [];
+  this.destroyed = false;
   this._updateTimeout = null;
+  this._updateScheduledAt = null;
+  this._updateDelay = null;
+  this._failedUpdates = 0;
+  this._ready = null;
+  this._resolveReady = null;
+  this.metrics = new metrics.Metrics(this);
 
-  this.lastUpdate = Date.now();
-  this.update(onReady);
+  this.healthChecker = null;
+  if (options.healthCheck) {
+    if (!ejectOnErrorConfig) {
+      throw new Error('Health checks need a circuit breaker configuration');
+    }
+    this.healthChecker = new healthChecks.HealthChecker(this.poolManager, options.healthCheck);
+    this.healthChecker.start();
+  }
+
+  this.snapshotStore = options.snapshotStore || null;
+  this.maxSnapshotAge = options.maxSnapshotAge || DEFAULT_MAX_SNAPSHOT_AGE;
+  this.stale = false;
+
+  this.lastUpdate = this.clock.now();
+  if (this.snapshotStore) {
+    this.loadSnapshot(this.update.bind(this, options.onReady));
+  } else {
+    this.update(options.onReady);
+  }
 };
 
 util.inherits(EndpointPool, Events.EventEmitter);
 
+EndpointPool.Agent = httpClient.Agent;
+EndpointPool.HttpsAgent = httpClient.HttpsAgent;
+EndpointPool.HttpStatusError = errors.HttpStatusError;
+EndpointPool.NoEndpointsError = errors.NoEndpointsError;
+EndpointPool.SaturatedError = errors.SaturatedError;
+EndpointPool.TimeoutError = errors.TimeoutError;
+EndpointPool.healthChecks = healthChecks;
+EndpointPool.metrics = metrics;
+EndpointPool.snapshots = snapshots;
+EndpointPool.sources = sources;
+EndpointPool.strategies = strategies;
+
 _.extend(EndpointPool.prototype, {
   update: function (onDone) {
+    var startedAt = this.clock.now();
     this.resolve(function (err, endpoints) {
+      var delay;
+      var rejection;
+      var duration = this.clock.now() - startedAt;
       if (err || !endpoints || !endpoints.length) {
-        this.emit('updateError', err, Date.now() - this.lastUpdate);
+        this.metrics.recordUpdate('failure', duration);
+        this._failedUpdates++;
+        delay = this.getRetryDelay(this._failedUpdates);
+        this.emit('updateError', err, this.clock.now() - this.lastUpdate, {
+          attempt: this._failedUpdates,
+          retryDelay: delay
+        });
+      } else if (!this.stale && (rejection = this.checkUpdate(endpoints))) {
+        // keep serving what we have, and see if the next answer looks better
+        this.metrics.recordUpdate('rejected', duration);
+        this.emit('updateRejected', { endpoints: endpoints, reason: rejection });
+        delay = this.getRefreshDelay(endpoints);
       } else {
-        this.lastUpdate = Date.now();
+        this.metrics.recordUpdate('success', duration);
+        this._failedUpdates = 0;
+        this.lastUpdate = this.clock.now();
+        this.stale = false;
         this.setEndpoints(endpoints);
+        if (this.snapshotStore) {
+          this.saveSnapshot(endpoints);
+        }
+        delay = this.getRefreshDelay(endpoints);
       }
-      this._updateTimeout = setTimeout(this.update.bind(this), this.ttl);
+      this.scheduleUpdate(delay);
 
       if (typeof onDone === 'function') {
         onDone();
@@ -58,39 +266,557 @@ _.extend(EndpointPool.prototype, {
     }.bind(this));
   },
 
+  scheduleUpdate: function (delay) {
+    this._updateScheduledAt = this.clock.now();
+    this._updateDelay = delay;
+    this._updateTimeout = this.clock.setTimeout(this.update.bind(this), delay);
+  },
+
+  // Moves the refresh which is scheduled to follow a new `ttl`, counting from when it was scheduled. A retry which waits
+  // for its backoff is left alone, and a refresh which follows record TTLs only moves to keep within `maxTtl`.
+  rescheduleUpdate: function () {
+    var delay;
+    if (!this._updateTimeout || this._lookups.length || this.retryBackoff && this._failedUpdates) {
+      return;
+    }
+    delay = this.useRecordTtl ? Math.min(this._updateDelay, this.maxTtl) : this.ttl;
+    this.clock.clearTimeout(this._updateTimeout);
+    this._updateTimeout = this.clock.setTimeout(this.update.bind(this),
+      Math.max(this._updateScheduledAt + delay - this.clock.now(), 0));
+    this._updateDelay = delay;
+  },
+
+  getRefreshDelay: function (endpoints) {
+    var ttls = _.filter(_.pluck(endpoints, 'ttl'), _.isNumber);
+    if (!this.useRecordTtl || !ttls.length) {
+      return this.ttl;
+    }
+    return Math.min(Math.max(_.min(ttls) * 1000, this.minTtl), this.maxTtl);
+  },
+
+  /**
+   * Guards against partial answers from service discovery: an update which would take more than `maxShrinkPercent` of
+   * the endpoints out of the pool, or shrink it below `minEndpoints`, is rejected. Updates which grow the pool always go
+   * through. A partial answer rarely comes back the same every time, so once the same one has come back
+   * `acceptShrinkAfter` times in a row, the service has really shrunk and the update is accepted.
+   *
+   * @param {Object[]} endpoints  The records from the latest lookup.
+   * @return {Object}             The reason to reject the update, or `null` to accept it.
+   */
+  checkUpdate: function (endpoints) {
+    var urls = endpoints.map(function (record) {
+      return record.name + ':' + record.port;
+    });
+    // endpoints which are already on their way out have been counted as removed before
+    var current = _.pluck(_.where(this.poolManager.endpoints, { removedAt: null }), 'url');
+    var removed = _.difference(current, urls).length;
+    var answer = _.sortBy(urls).join(',');
+    var rejection = null;
+
+    if (removed && removed / current.length * 100 > this.maxShrinkPercent) {
+      rejection = { cause: 'maxShrinkPercent', removed: removed, total: current.length };
+    } else if (endpoints.length < this.minEndpoints && endpoints.length < current.length) {
+      rejection = { cause: 'minEndpoints', endpoints: endpoints.length, minEndpoints: this.minEndpoints };
+    }
+    if (!rejection) {
+      this._rejectedShrink = null;
+      return null;
+    }
+
+    if (this._rejectedShrink && this._rejectedShrink.answer === answer) {
+      this._rejectedShrink.times++;
+    } else {
+      this._rejectedShrink = { answer: answer, times: 1 };
+    }
+    if (this._rejectedShrink.times >= this.acceptShrinkAfter) {
+      this._rejectedShrink = null;
+      return null;
+    }
+    return rejection;
+  },
+
+  /**
+   * Seeds the pool from the snapshot store, if it has a snapshot which is recent enough. Until the first successful
+   * update, the pool is `stale` and updates are never rejected.
+   *
+   * @param {Function} onDone
+   */
+  loadSnapshot: function (onDone) {
+    this.snapshotStore.load(function (err, snapshot) {
+      if (this.destroyed) {
+        return;
+      }
+      if (!err && snapshot && !(_.isArray(snapshot.endpoints) && _.isNumber(snapshot.time))) {
+        err = new Error('Malformed snapshot for ' + this.discoveryName + ': it needs an array of endpoints and a time');
+      }
+      if (err) {
+        this.emit('snapshotError', err);
+      } else if (snapshot && snapshot.endpoints.length && this.clock.now() - snapshot.time <= this.maxSnapshotAge) {
+        this.stale = true;
+        this.lastUpdate = snapshot.time;
+        this.setEndpoints(snapshot.endpoints);
+        this.emit('servingStaleEndpoints', { age: this.clock.now() - snapshot.time, endpoints: snapshot.endpoints });
+      }
+      onDone();
+    }.bind(this));
+  },
+
+  saveSnapshot: function (endpoints) {
+    this.snapshotStore.save({ endpoints: endpoints, time: this.lastUpdate }, function (err) {
+      if (err) {
+        this.emit('snapshotError', err);
+      }
+    }.bind(this));
+  },
+
+  // `attempt` is the number of consecutive failed updates, starting at 1.
+  getRetryDelay: function (attempt) {
+    return this.retryBackoff ? getBackoffDelay(this.retryBackoff, attempt) : this.ttl;
+  },
+
   resolve: function (cb) {
-    var callback = _.once(cb);
-    setTimeout(callback, DNS_LOOKUP_TIMEOUT, dns.TIMEOUT);
-    dns.resolveSrv(this.discoveryName, callback);
+    var pool = this;
+    var timer = this.clock.setTimeout(function () {
+      callback(dns.TIMEOUT);
+    }, DNS_LOOKUP_TIMEOUT);
+    var callback = _.once(function () {
+      pool.clock.clearTimeout(timer);
+      pool._lookups = _.without(pool._lookups, timer);
+      if (!pool.destroyed) {
+        cb.apply(null, arguments);
+      }
+    });
+    this._lookups.push(timer);
+    this.source.resolve(callback);
   },
 
-  getEndpoint: function () {
-    var endpoint = this.poolManager.getNextEndpoint();
+  /**
+   * @param {String=} key  If given, the same key keeps getting the same endpoint while it is in the pool.
+   * @return {Lease=}
+   */
+  getEndpoint: function (key) {
+    var endpoint = this.poolManager.getNextEndpoint({ key: key });
 
     if (endpoint) {
       return endpoint;
     } else {
-      this.emit('noEndpoints');
+      this.emitUnavailable();
       return null;
     }
   },
 
+  /**
+   * Like `getEndpoint`, but when every endpoint is saturated, waits in a queue for one to be free instead of giving up.
+   *
+   * @param {{key: String, timeout: Number}=} options
+   *        - key: As for `getEndpoint`.
+   *        - timeout: How long to wait, in milliseconds. Defaults to the pool's `acquireTimeout`; 0 waits for as long
+   *          as it takes.
+   * @return {Promise}  Resolves with a lease. Rejects with a `NoEndpointsError` if there is no endpoint at all (also
+   *                    once it is waiting), a `SaturatedError` if the queue is full, a `TimeoutError` if no endpoint
+   *                    was free in time, or an error if the pool has been destroyed.
+   */
+  acquire: function (options) {
+    var pool = this;
+    var key = options && options.key;
+    var timeout = options && options.timeout != null ? options.timeout : this.acquireTimeout;
+    var endpoint;
+
+    if (this.destroyed) {
+      return Promise.reject(getDestroyedError(this));
+    }
+    // requests which are already waiting go first
+    this.drainQueue();
+    if (!this._queue.length) {
+      endpoint = this.poolManager.getNextEndpoint({ key: key });
+      if (endpoint) {
+        return Promise.resolve(endpoint);
+      }
+    }
+    // either way, the last attempt to get an endpoint tells whether there is one worth waiting for
+    this.emitUnavailable();
+    if (!this.poolManager.saturated) {
+      return Promise.reject(new errors.NoEndpointsError(this.discoveryName));
+    }
+    if (this._queue.length >= this.maxQueued) {
+      return Promise.reject(new errors.SaturatedError(this.discoveryName, this._queue.length));
+    }
+    return new Promise(function (resolve, reject) {
+      var waiter = { key: key, resolve: resolve, reject: reject, timer: null };
+      if (timeout) {
+        waiter.timer = pool.clock.setTimeout(function () {
+          pool._queue = _.without(pool._queue, waiter);
+          reject(new errors.TimeoutError(timeout));
+        }, timeout);
+      }
+      pool._queue.push(waiter);
+    });
+  },
+
+  // Hands endpoints to the requests waiting in `acquire()`, in order, for as long as there are endpoints to hand out.
+  // Once there is no endpoint left which is only busy, there is nothing to wait for, and they all fail.
+  drainQueue: function () {
+    var endpoint;
+    var waiter;
+
+    while (this._queue.length) {
+      endpoint = this.poolManager.getNextEndpoint({ key: this._queue[0].key });
+      if (!endpoint) {
+        if (!this.poolManager.saturated) {
+          this.rejectQueue(new errors.NoEndpointsError(this.discoveryName));
+        }
+        return;
+      }
+      waiter = this._queue.shift();
+      this.clock.clearTimeout(waiter.timer);
+      waiter.resolve(endpoint);
+    }
+  },
+
+  rejectQueue: function (err) {
+    var queue = this._queue;
+    this._queue = [];
+    queue.forEach(function (waiter) {
+      this.clock.clearTimeout(waiter.timer);
+      waiter.reject(err);
+    }, this);
+  },
+
+  // After failing to get an endpoint: says whether that was because of the concurrency limits, or because there was
+  // none in the pool.
+  emitUnavailable: function () {
+    if (this.poolManager.saturated) {
+      this.emit('saturated', { inFlight: this.poolManager.inFlight, queued: this._queue.length });
+    } else {
+      this.emit('noEndpoints');
+    }
+  },
+
+  /**
+   * Leases an endpoint for `fn`, and reports the outcome of the promise it returns to the circuit breaker.
+   *
+   * @param {Function} fn  Called with the endpoint. May return a promise.
+   * @return {Promise}     Settles as `fn` does, or rejects with a `NoEndpointsError` if there is no endpoint available.
+   */
+  withEndpoint: function (fn) {
+    var endpoint = this.getEndpoint();
+    if (!endpoint) {
+      return Promise.reject(new errors.NoEndpointsError(this.discoveryName));
+    }
+    return Promise.resolve(endpoint).then(fn).then(function (result) {
+      endpoint.callback(null, { result: result });
+      return result;
+    }, function (err) {
+      endpoint.callback(err);
+      throw err;
+    });
+  },
+
+  /**
+   * Sends an HTTP request to an endpoint, and reports its outcome to the circuit breaker. See `http-client.js`.
+   *
+   * @param {Object} options      As for `http.request`, without the host and port, plus `protocol`, `key`, `timeout`
+   *                              and `isFailureStatus`.
+   * @param {Function=} callback  Called with the response.
+   * @return {http.ClientRequest}
+   */
+  request: function (options, callback) {
+    return httpClient.request(this, options, callback);
+  },
+
+  /**
+   * Calls `fn` with an endpoint, retrying on endpoints which have not been tried yet if it fails. Every attempt is
+   * reported to the circuit breaker. Retries stop when there is no untried endpoint left, or when the pool's retry budget
+   * is used up, in which case the pool emits `'retryBudgetExhausted'`.
+   *
+   * @param {Function} fn  Called with the endpoint and the attempt number (starting at 1). May return a promise.
+   * @param {{retries: Number, timeout: Number, backoff: Object, shouldRetry: Function}=} options
+   *        - retries: How many times to retry after the first attempt. Default 2.
+   *        - timeout: Milliseconds after which an attempt fails with a `TimeoutError`. Default 0, meaning no timeout.
+   *        - backoff: Delay between attempts, in the same form as the `retryBackoff` constructor option. Default none.
+   *        - shouldRetry: Called with the error of a failed attempt, returns whether to retry. Default always.
+   * @return {Promise}  Resolves as the first successful attempt does, or rejects with the error from the last attempt.
+   *                    Once the pool is destroyed, it makes no further attempt, and rejects rather than wait to retry.
+   */
+  execute: function (fn, options) {
+    var pool = this;
+    var tried = [];
+    var backoff;
+
+    options = _.defaults({}, options, DEFAULT_EXECUTE_OPTIONS);
+    backoff = options.backoff && getBackoffOptions(options.backoff);
+
+    if (this.destroyed) {
+      return Promise.reject(getDestroyedError(this));
+    }
+    if (this.retryBudget) {
+      this.retryBudget.recordRequest();
+    }
+
+    function attempt(endpoint, n) {
+      tried.push(endpoint.endpoint);
+      return callWithTimeout(fn, [endpoint, n], options.timeout, pool).then(function (result) {
+        endpoint.callback(null, { result: result });
+        return result;
+      }, function (err) {
+        endpoint.callback(err);
+
+        if (pool.destroyed || n > options.retries || !options.shouldRetry(err)) {
+          throw err;
+        }
+        if (pool.retryBudget && !pool.retryBudget.tryRetry()) {
+          pool.emit('retryBudgetExhausted');
+          throw err;
+        }
+        return wait(backoff ? getBackoffDelay(backoff, n) : 0, pool).then(function () {
+          var nextEndpoint = !pool.destroyed && pool.poolManager.getNextEndpoint({ exclude: tried });
+          if (!nextEndpoint) {
+            throw err;
+          }
+          return attempt(nextEndpoint, n + 1);
+        });
+      });
+    }
+
+    var endpoint = this.getEndpoint();
+    if (!endpoint) {
+      return Promise.reject(new errors.NoEndpointsError(this.discoveryName));
+    }
+    return attempt(endpoint, 1);
+  },
+
   hasEndpoints: function () {
     return this.poolManager.hasEndpoints();
   },
 
+  /**
+   * @return {Promise}  Resolves with the pool once an update has brought back at least one endpoint. It does not reject:
+   *                    combine it with a timeout if the caller should not wait forever.
+   */
+  ready: function () {
+    if (!this._ready) {
+      this._ready = new Promise(function (resolve) {
+        this._resolveReady = resolve;
+      }.bind(this));
+      if (this.hasEndpoints()) {
+        this._resolveReady(this);
+      }
+    }
+    return this._ready;
+  },
+
   setEndpoints: function (endpoints) {
     this.poolManager.updateEndpoints(endpoints);
+    if (this.healthChecker) {
+      this.healthChecker.run(true);
+    }
+    if (this._resolveReady && this.hasEndpoints()) {
+      this._resolveReady(this);
+    }
   },
 
-  getStatus: function () {
-    var poolStatus = this.poolManager.getStatus();
+  /**
+   * @param {{detailed: Boolean}=} options  `detailed`: also describe each endpoint.
+   */
+  getStatus: function (options) {
+    var poolStatus = this.poolManager.getStatus(!!(options && options.detailed));
     return _.assign({
-      age: Date.now() - this.lastUpdate
+      age: this.clock.now() - this.lastUpdate,
+      stale: this.stale
     }, poolStatus);
   },
 
+  /**
+   * @return {Object}  Counters and gauges for the pool. See `metrics.js`.
+   */
+  getMetrics: function () {
+    return this.metrics.toJSON();
+  },
+
+  /**
+   * @return {String}  The pool's metrics in the Prometheus text exposition format.
+   */
+  getPrometheusMetrics: function () {
+    return metrics.toPrometheus([this]);
+  },
+
+  /**
+   * Applies new settings to the pool while it runs, keeping its endpoints and their state.
+   *
+   * @param {Object} options
+   *        - ttl: Also moves the refresh which is scheduled, unless an update is in flight. It is also the new `maxTtl`,
+   *          unless one was given to the constructor.
+   *        - circuitBreaker: A new `ejectOnErrorConfig`, for pools which have one. Circuits stay in the state they are
+   *          in, but their error history starts afresh.
+   *        - maxConcurrentPerEndpoint, maxConcurrent: As for the constructor.
+   */
+  reconfigure: function (options) {
+    if (options.circuitBreaker) {
+      if (!this.poolManager.reconfigureCircuitBreaker) {
+        throw new Error('Only pools with a circuit breaker can change its configuration');
+      }
+      this.poolManager.reconfigureCircuitBreaker(options.circuitBreaker);
+    }
+    if (options.ttl) {
+      this.ttl = options.ttl;
+      if (this._maxTtlFollowsTtl) {
+        this.maxTtl = options.ttl;
+      }
+      this.rescheduleUpdate();
+    }
+    _.extend(this.poolManager, _.pick(options, 'maxConcurrentPerEndpoint', 'maxConcurrent'));
+    this.drainQueue();
+  },
+
+  /**
+   * Lets operators take an endpoint out of the pool, put it in whatever its circuit breaker says, or drain it. The
+   * override sticks to the url until it is cleared, and wins over the circuit breaker and panic mode.
+   *
+   * @param {String} url
+   * @param {?String} override  `'eject'`, `'include'`, `'drain'`, or `null` to clear it.
+   */
+  setOverride: function (url, override) {
+    this.poolManager.setOverride(url, override);
+  },
+
+  /**
+   * @return {Object}  The overrides in place, by url.
+   */
+  getOverrides: function () {
+    return _.clone(this.poolManager.overrides);
+  },
+
   stopUpdating: function () {
-    clearTimeout(this._updateTimeout);
+    this.clock.clearTimeout(this._updateTimeout);
+    this._updateTimeout = null;
+    if (this.healthChecker) {
+      this.healthChecker.stop();
+    }
+  },
+
+  /**
+   * Stops the pool for good: cancels every timer it has set, ignores the answers to lookups in flight, and rejects the
+   * requests waiting in `acquire()` or to retry in `execute()`. Leases which are out can still be reported.
+   */
+  destroy: function () {
+    var err = getDestroyedError(this);
+
+    this.destroyed = true;
+    this.stopUpdating();
+    this._lookups.forEach(function (timer) {
+      this.clock.clearTimeout(timer);
+    }, this);
+    this._lookups = [];
+    this._executeTimers.forEach(function (timer) {
+      this.clock.clearTimeout(timer.id);
+      timer.onDestroy(err);
+    }, this);
+    this._executeTimers = [];
+    this.poolManager.destroy();
+    this.rejectQueue(err);
   }
 });
+
+// required here rather than at the top, since it builds on the EndpointPool defined above
+EndpointPool.ZoneAwarePool = require('./zone-aware-pool');
+
+// Fills in the defaults for a `retryBackoff` or `backoff` option, which may also just be `true`. A setting which is not
+// a number would make every delay NaN, which timers treat as no delay at all.
+function getBackoffOptions(backoff) {
+  var options = _.defaults({}, backoff, DEFAULT_RETRY_BACKOFF);
+  _.each(_.pick(options, _.keys(DEFAULT_RETRY_BACKOFF)), function (value, name) {
+    if (typeof value !== 'number' || !(value >= 0)) {
+      throw new Error('Backoff ' + name + ' must be a number of at least 0');
+    }
+  });
+  return options;
+}
+
+// `attempt` is the number of consecutive failures, starting at 1. The jitter takes up to that fraction off the delay, so
+// that callers which failed together do not all retry together.
+function getBackoffDelay(backoff, attempt) {
+  var delay = Math.min(backoff.initialDelay * Math.pow(backoff.multiplier, attempt - 1), backoff.maxDelay);
+  return Math.round(delay * (1 - backoff.jitter * Math.random()));
+}
+
+// Wraps a clock so that its timers do not keep the process alive.
+function unrefTimers(clock) {
+  return {
+    now: function () {
+      return clock.now();
+    },
+    setTimeout: function (fn, delay) {
+      return unref(clock.setTimeout(fn, delay));
+    },
+    clearTimeout: function (timer) {
+      clock.clearTimeout(timer);
+    },
+    setInterval: function (fn, delay) {
+      return unref(clock.setInterval(fn, delay));
+    },
+    clearInterval: function (timer) {
+      clock.clearInterval(timer);
+    }
+  };
+}
+
+function unref(timer) {
+  if (timer && typeof timer.unref === 'function') {
+    timer.unref();
+  }
+  return timer;
+}
+
+function getDestroyedError(pool) {
+  return new Error('The pool for ' + pool.discoveryName + ' has been destroyed');
+}
+
+// Sets a timer on behalf of `execute()`. Should the pool be destroyed first, the timer is cleared, and `onDestroy` is
+// called with the error instead.
+function setExecuteTimer(pool, fn, ms, onDestroy) {
+  var timer = { id: null, onDestroy: onDestroy };
+  timer.id = pool.clock.setTimeout(function () {
+    pool._executeTimers = _.without(pool._executeTimers, timer);
+    fn();
+  }, ms);
+  pool._executeTimers.push(timer);
+  return timer;
+}
+
+function clearExecuteTimer(pool, timer) {
+  pool.clock.clearTimeout(timer.id);
+  pool._executeTimers = _.without(pool._executeTimers, timer);
+}
+
+function wait(ms, pool) {
+  return new Promise(function (resolve, reject) {
+    if (ms > 0) {
+      setExecuteTimer(pool, resolve, ms, reject);
+    } else {
+      resolve();
+    }
+  });
+}
+
+// Destroying the pool only clears the timeout: the attempt then settles as `fn` does.
+function callWithTimeout(fn, args, timeout, pool) {
+  var result = Promise.resolve().then(function () {
+    return fn.apply(null, args);
+  });
+  if (!timeout) {
+    return result;
+  }
+  return new Promise(function (resolve, reject) {
+    var timer = setExecuteTimer(pool, function () {
+      reject(new errors.TimeoutError(timeout));
+    }, timeout, _.noop);
+
+    result.then(function (value) {
+      clearExecuteTimer(pool, timer);
+      resolve(value);
+    }, function (err) {
+      clearExecuteTimer(pool, timer);
+      reject(err);
+    });
+  });
+}
@@ -0,0 +1,135 @@
+var _ = require('underscore');
+
+var PREFIX = 'dns_endpoint_pool_';
+
+/**
+ * Counts what happens in a pool, for monitoring. Each pool has one as `pool.metrics`, which listens to the pool's events
+ * and is told about updates by the pool. Gauges, and the per-endpoint counts, are read from the pool when asked for.
+ *
+ * @param {EndpointPool} pool
+ */
+function Metrics(pool) {
+  this.pool = pool;
+  this.ejections = 0;
+  this.restorations = 0;
+  this.noEndpoints = 0;
+  this.updates = { success: 0, failure: 0, rejected: 0 };
+  this.updateDuration = { sum: 0, count: 0, last: null };
+
+  pool.on('endpointEjected', function () {
+    this.ejections++;
+  }.bind(this));
+  pool.on('endpointRestored', function () {
+    this.restorations++;
+  }.bind(this));
+  pool.on('noEndpoints', function () {
+    this.noEndpoints++;
+  }.bind(this));
+}
+
+Metrics.prototype = {
+  /**
+   * @param {String} result    'success', 'failure' or 'rejected'.
+   * @param {Number} duration  How long the lookup took, in milliseconds.
+   */
+  recordUpdate: function (result, duration) {
+    this.updates[result]++;
+    this.updateDuration.sum += duration;
+    this.updateDuration.count++;
+    this.updateDuration.last = duration;
+  },
+
+  /**
+   * @return {Object}  A snapshot of the metrics, as a plain object.
+   */
+  toJSON: function () {
+    var status = this.pool.getStatus();
+    var endpoints = this.pool.poolManager.endpoints;
+    return {
+      discoveryName: this.pool.discoveryName,
+      selections: _.object(_.pluck(endpoints, 'url'), _.pluck(endpoints, 'selections')),
+      failures: _.object(_.pluck(endpoints, 'url'), _.pluck(endpoints, 'failures')),
+      ejections: this.ejections,
+      restorations: this.restorations,
+      noEndpoints: this.noEndpoints,
+      updates: _.clone(this.updates),
+      updateDuration: _.clone(this.updateDuration),
+      total: status.total,
+      healthy: status.total - status.unhealthy,
+      age: status.age
+    };
+  }
+};
+
+/**
+ * Formats the metrics of any number of pools in the Prometheus text exposition format, labelled by discovery name.
+ *
+ * @param {EndpointPool[]} pools
+ * @return {String}
+ */
+function toPrometheus(pools) {
+  var snapshots = _.invoke(_.pluck(pools, 'metrics'), 'toJSON');
+
+  return [
+    family('selections_total', 'counter', 'Times an endpoint was handed out.', perEndpoint(snapshots, 'selections')),
+    family('failures_total', 'counter', 'Requests to an endpoint which failed.', perEndpoint(snapshots, 'failures')),
+    family('ejections_total', 'counter', 'Endpoints ejected from the pool.', perPool(snapshots, 'ejections')),
+    family('restorations_total', 'counter', 'Endpoints restored to the pool.', perPool(snapshots, 'restorations')),
+    family('no_endpoints_total', 'counter', 'Times there was no endpoint to hand out.',
+      perPool(snapshots, 'noEndpoints')),
+    family('updates_total', 'counter', 'Service discovery lookups, by result.', _.flatten(snapshots.map(function (s) {
+      return _.map(s.updates, function (count, result) {
+        return [{ discovery_name: s.discoveryName, result: result }, count];
+      });
+    }), true)),
+    family('update_duration_seconds', 'summary', 'How long service discovery lookups took.',
+      _.flatten(snapshots.map(function (s) {
+        var labels = { discovery_name: s.discoveryName };
+        return [
+          [labels, s.updateDuration.sum / 1000, '_sum'],
+          [labels, s.updateDuration.count, '_count']
+        ];
+      }), true)),
+    family('endpoints', 'gauge', 'Endpoints known to the pool.', perPool(snapshots, 'total')),
+    family('healthy_endpoints', 'gauge', 'Endpoints in the pool.', perPool(snapshots, 'healthy')),
+    family('age_seconds', 'gauge', 'Time since the endpoints were last updated.', snapshots.map(function (s) {
+      return [{ discovery_name: s.discoveryName }, s.age / 1000];
+    }))
+  ].join('');
+}
+
+function perPool(snapshots, key) {
+  return snapshots.map(function (s) {
+    return [{ discovery_name: s.discoveryName }, s[key]];
+  });
+}
+
+function perEndpoint(snapshots, key) {
+  return _.flatten(snapshots.map(function (s) {
+    return _.map(s[key], function (value, url) {
+      return [{ discovery_name: s.discoveryName, endpoint: url }, value];
+    });
+  }), true);
+}
+
+// `samples` are arrays of the labels, the value, and optionally a suffix for the metric name.
+function family(name, type, help, samples) {
+  var lines = [
+    '# HELP ' + PREFIX + name + ' ' + help,
+    '# TYPE ' + PREFIX + name + ' ' + type
+  ].concat(samples.map(function (sample) {
+    return PREFIX + name + (sample[2] || '') + formatLabels(sample[0]) + ' ' + sample[1];
+  }));
+  return lines.join('\n') + '\n';
+}
+
+function formatLabels(labels) {
+  return '{' + _.map(labels, function (value, name) {
+    return name + '="' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+  }).join(',') + '}';
+}
+
+module.exports = {
+  Metrics: Metrics,
+  toPrometheus: toPrometheus
+};
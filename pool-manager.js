@@ -1,120 +1,689 @@
 var _ = require('underscore');
+var crypto = require('crypto');
+var systemClock = require('./clock');
+var errors = require('./errors');
+var Events = require('events');
+var strategies = require('./strategies');
+var util = require('util');
 // endpoint states
 var CLOSED            = 0;  // closed circuit: endpoint is good to use
 var HALF_OPEN_READY   = 1;  // endpoint is in recovery state: offer it for use once
 var HALF_OPEN_PENDING = 2;  // endpoint recovery is in process
 var OPEN              = 3;  // open circuit: endpoint is no good
+// how states are named in events
+var STATE_NAMES = ['closed', 'half-open-ready', 'half-open-pending', 'open'];
+// what `ejectOnErrorPoolManager` sets on the manager for a circuit breaker configuration
+var BREAKER_HOOKS = [
+  'isInPool',
+  'onEndpointReturned',
+  'onEndpointRegistered',
+  'onEndpointSelected',
+  'onEndpointReleased',
+  'onEndpointDiscarded',
+  'describeCircuit',
+  'ejectEndpoint',
+  'restoreEndpoint',
+  'panicThreshold'
+];
+// what operators can force on an endpoint, whatever its circuit breaker says
+var OVERRIDES = ['eject', 'include', 'drain'];
+var DEFAULT_LATENCY_SMOOTHING = 0.3;
+var DEFAULT_MIN_LATENCY_SAMPLES = 10;
+var DEFAULT_SLOW_START = {
+  minWeight: 0.1,
+  curve: _.identity
+};
 
 function PoolManager (options) {
   options = options || {};
 
+  Events.EventEmitter.call(this);
+
+  this.clock = options.clock || systemClock;
   this.endpoints = [];
-  this._endpointOffset = 0;
+  this.strategy = strategies.create(options.strategy);
+  this.latencySmoothing = options.latencySmoothing || DEFAULT_LATENCY_SMOOTHING;
+  this.slowStart = options.slowStart ? getSlowStartOptions(options.slowStart) : null;
+  this.panicThreshold = options.panicThreshold || 0;
+  this.panicking = false;
+  this.removalGracePeriod = options.removalGracePeriod || 0;
+  this.leaseTimeout = options.leaseTimeout || 0;
+  this.leaseTimeoutOutcome = options.leaseTimeoutOutcome || 'failure';
+  this.isFailure = options.isFailure || Boolean;
+  this.maxConcurrentPerEndpoint = options.maxConcurrentPerEndpoint || 0;
+  this.maxConcurrent = options.maxConcurrent || 0;
+  this.inFlight = 0;
+  this.saturated = false;
+  this.overrides = {};
+  this.timedLeases = [];
+  this.destroyed = false;
 
   this.isInPool = options.isInPool || _.constant(true);
   this.onEndpointReturned = options.onEndpointReturned || _.noop;
   this.onEndpointRegistered = options.onEndpointRegistered || _.noop;
   this.onEndpointSelected = options.onEndpointSelected || _.noop;
+  this.onEndpointReleased = options.onEndpointReleased || _.noop;
+  this.describeCircuit = options.describeCircuit || _.constant({ state: STATE_NAMES[CLOSED] });
+  this.ejectEndpoint = options.ejectEndpoint || _.noop;
+  this.restoreEndpoint = options.restoreEndpoint || _.noop;
+  this.onEndpointDiscarded = options.onEndpointDiscarded || _.noop;
 }
 
-PoolManager.prototype = {
+util.inherits(PoolManager, Events.EventEmitter);
+
+_.extend(PoolManager.prototype, {
   hasEndpoints: function () {
     return this.endpoints.length > 0;
   },
-  getNextEndpoint: function () {
-    var i;
-    var l;
-    var offset;
-    var endpoint;
+  /**
+   * @param {{exclude: Endpoint[], key: String}=} options
+   *        - exclude: Endpoints not to return, eg: ones which have already been tried.
+   *        - key: Choose the endpoint by hashing this instead of using the strategy, so that the same key keeps going to
+   *          the same endpoint.
+   * @return {Lease=}  Nothing if there is no endpoint to offer, in which case `saturated` says whether that is because
+   *                   of the concurrency limits.
+   */
+  getNextEndpoint: function (options) {
+    var manager = this;
+    var exclude = options && options.exclude || [];
+    var key = options && options.key;
+    var panicking = this.panicking;
+    var available = this.endpoints.filter(function (endpoint) {
+      return manager.isSelectable(endpoint, panicking) && !_.contains(exclude, endpoint);
+    });
+    // a busy priority tier is saturated: its traffic does not spill over into the next one
+    var tier = getPriorityTier(available);
+    var unsaturated = this.maxConcurrent && this.inFlight >= this.maxConcurrent ? [] : tier.filter(function (e) {
+      return !manager.maxConcurrentPerEndpoint || e.outstanding < manager.maxConcurrentPerEndpoint;
+    });
+    var candidates = getWeightedCandidates(unsaturated);
+    var endpoint = null;
+
+    if (candidates.length) {
+      endpoint = key != null ? selectByKey(candidates, String(key), this) : this.strategy.select(candidates, this);
+    }
+    this.saturated = !endpoint && unsaturated.length < tier.length;
+    if (endpoint) {
+      this.inFlight++;
+      endpoint.outstanding++;
+      endpoint.selections++;
+      return this.createLease(endpoint, this.onEndpointSelected(endpoint));
+    }
+  },
+  // Every time an endpoint is handed out, the caller gets a lease of their own to report the outcome with, so that
+  // each request is counted exactly once. A lease which is not reported within `leaseTimeout` has probably been leaked,
+  // and counts as a failure, or just stops counting as outstanding if `leaseTimeoutOutcome` is `'neutral'`. A report
+  // which comes after that is ignored. A lease which was handed out as a half-open trial request carries that `trial`,
+  // so that only its own report counts towards it.
+  createLease: function (endpoint, trial) {
+    var lease = new Lease(endpoint, this.clock.now(), trial);
+    lease.callback = this.returnLease.bind(this, lease);
+    if (this.leaseTimeout && !this.destroyed) {
+      lease._timeout = this.clock.setTimeout(this.expireLease.bind(this, lease), this.leaseTimeout);
+      this.timedLeases.push(lease);
+    }
+    return lease;
+  },
+  /**
+   * @param {Lease} lease
+   * @param {*} err
+   * @param {{duration: Number, result: *, outcome: String}=} details  See `returnEndpoint` and `getOutcome`.
+   */
+  returnLease: function (lease, err, details) {
+    var outcome;
+    if (lease.returned) {
+      this.emit(lease.expired ? 'leaseReportedLate' : 'leaseReportedTwice', { endpoint: lease.endpoint, lease: lease });
+      return;
+    }
+    lease.returned = true;
+    this.clock.clearTimeout(lease._timeout);
+    this.timedLeases = _.without(this.timedLeases, lease);
+
+    outcome = this.getOutcome(err, details);
+    if (outcome === 'neutral') {
+      this.releaseEndpoint(lease.endpoint, lease._trial);
+    } else {
+      this.returnEndpoint(
+        lease.endpoint,
+        outcome === 'failure' ? err || new Error('Classified as a failure') : null,
+        _.defaults({}, details, { duration: this.clock.now() - lease.leasedAt }),
+        lease._trial
+      );
+    }
+  },
+  /**
+   * Whether a request succeeded, failed, or says nothing about the endpoint (eg: it was cancelled by the client).
+   * Unless the caller gives the `outcome`, it is up to the `isFailure(err, result)` option, which returns a boolean or
+   * `'neutral'`. By default, any truthy `err` is a failure.
+   *
+   * @return {String}  `'success'`, `'failure'` or `'neutral'`.
+   */
+  getOutcome: function (err, details) {
+    var failure;
+    if (details && details.outcome) {
+      return details.outcome;
+    }
+    failure = this.isFailure(err, details && details.result);
+    return failure === 'neutral' ? 'neutral' : failure ? 'failure' : 'success';
+  },
+  expireLease: function (lease) {
+    lease.returned = lease.expired = true;
+    this.timedLeases = _.without(this.timedLeases, lease);
+    this.emit('leaseExpired', { endpoint: lease.endpoint, lease: lease });
+    if (this.leaseTimeoutOutcome === 'neutral') {
+      this.releaseEndpoint(lease.endpoint, lease._trial);
+    } else {
+      this.returnEndpoint(lease.endpoint, new errors.TimeoutError(this.leaseTimeout), null, lease._trial);
+    }
+  },
+  // In panic mode, so many endpoints are out of the pool that the problem is more likely to be shared (eg: a common
+  // downstream) than with the endpoints themselves, so traffic is spread over all of them regardless of their state.
+  // Called whenever the endpoints or their circuits change, so that the events come as soon as the pool panics or
+  // calms down, rather than with the next request.
+  updatePanicMode: function () {
+    var total = this.endpoints.length;
+    var healthy = this.countHealthy();
+    var panicking = total > 0 && healthy / total * 100 < this.panicThreshold;
 
-    for (i = 0, l = this.endpoints.length; i < l; ++i) {
-      offset = (this._endpointOffset + i) % l;
-      endpoint = this.endpoints[offset];
+    if (panicking !== this.panicking) {
+      this.panicking = panicking;
+      this.emit(panicking ? 'panicModeEntered' : 'panicModeExited', { healthy: healthy, total: total });
+    }
+    return panicking;
+  },
+  // Overrides win over the circuit breaker, and over panic mode.
+  isSelectable: function (endpoint, panicking) {
+    var override = this.overrides[endpoint.url];
+    if (override) {
+      return override === 'include';
+    }
+    return panicking || this.isInPool(endpoint);
+  },
+  /**
+   * Forces an endpoint out of the pool (`'eject'`), into it (`'include'`), or stops giving it new requests while the
+   * ones in flight finish (`'drain'`), until the override is cleared with `null`. Overrides are kept by url, so they
+   * also apply to endpoints which have not been discovered yet, or come back after being removed.
+   *
+   * @param {String} url
+   * @param {?String} override
+   */
+  setOverride: function (url, override) {
+    var endpoint = _.findWhere(this.endpoints, { url: url });
+    if (override != null && !_.contains(OVERRIDES, override)) {
+      throw new Error('Unknown override: ' + override);
+    }
+    if (override) {
+      this.overrides[url] = override;
+    } else {
+      delete this.overrides[url];
+    }
+    this.emit('overrideChanged', { url: url, override: override || null });
+    if (endpoint && override === 'drain' && !endpoint.outstanding) {
+      this.emit('endpointDrained', { endpoint: endpoint });
+    }
+  },
+  countHealthy: function () {
+    var manager = this;
+    return this.endpoints.filter(function (endpoint) {
+      return manager.isInPool(endpoint);
+    }).length;
+  },
+  getWeight: function (endpoint) {
+    return (endpoint.weight || 1) * this.getSlowStartFactor(endpoint);
+  },
+  // During the slow-start window after an endpoint is added or recovers, its weight ramps up from `minWeight` to full
+  // along the `curve`, which maps the progress through the window (0 to 1) to the progress of the ramp (0 to 1).
+  getSlowStartFactor: function (endpoint) {
+    var slowStart = this.slowStart;
+    var progress = slowStart ? (this.clock.now() - endpoint.slowStartAt) / slowStart.window : 1;
+    if (progress >= 1) {
+      return 1;
+    }
+    return slowStart.minWeight + (1 - slowStart.minWeight) * slowStart.curve(Math.max(progress, 0));
+  },
+  /**
+   * @param {Endpoint} endpoint
+   * @param {*} err                         Truthy if the request failed.
+   * @param {{duration: Number}=} details  `duration`: how long the request took in milliseconds, if known.
+   * @param {Object=} trial                The half-open trial the request was part of, if any.
+   */
+  returnEndpoint: function (endpoint, err, details, trial) {
+    var duration = details && details.duration;
 
-      if (this.isInPool(endpoint)) {
-        this.onEndpointSelected(endpoint);
-        this._endpointOffset = offset + 1;
-        return endpoint;
+    this.endRequest(endpoint);
+    if (err) {
+      endpoint.failures++;
+      endpoint.lastError = {
+        message: String(err.message || err),
+        time: this.clock.now()
+      };
+    }
+    if (duration != null && !isNaN(duration)) {
+      this.recordLatency(endpoint, duration);
+    }
+    this.onEndpointReturned(endpoint, err, duration, trial);
+    this.emit('requestEnded', endpoint);
+  },
+  // For requests whose outcome says nothing about the endpoint.
+  releaseEndpoint: function (endpoint, trial) {
+    this.endRequest(endpoint);
+    this.onEndpointReleased(endpoint, trial);
+    this.emit('requestEnded', endpoint);
+  },
+  // Both ways of ending a request emit `requestEnded` once the circuit breaker has seen the outcome, so that the pool
+  // can hand the freed-up endpoint to a request waiting in `acquire()`.
+  endRequest: function (endpoint) {
+    if (endpoint.outstanding > 0) {
+      endpoint.outstanding--;
+      this.inFlight--;
+      if (!endpoint.outstanding && this.overrides[endpoint.url] === 'drain') {
+        this.emit('endpointDrained', { endpoint: endpoint });
       }
     }
   },
+  // Keeps two moving averages of the latency: a plain EWMA, and a "peak" EWMA which jumps straight up to any slower
+  // request and then decays like the plain one. The peak one reacts to an endpoint slowing down without waiting for
+  // the average to catch up, which is what the `peak-ewma` strategy wants.
+  recordLatency: function (endpoint, duration) {
+    var alpha = this.latencySmoothing;
+    if (endpoint.latency == null) {
+      endpoint.latency = endpoint.peakLatency = duration;
+    } else {
+      endpoint.latency = alpha * duration + (1 - alpha) * endpoint.latency;
+      endpoint.peakLatency = Math.max(duration, alpha * duration + (1 - alpha) * endpoint.peakLatency);
+    }
+    endpoint.latencySamples++;
+  },
+  /**
+   * @return {?Number}  The median of the average latencies of the endpoints which have any, or null.
+   */
+  getMedianLatency: function () {
+    var latencies = _.sortBy(_.pluck(this.endpoints, 'latency').filter(function (latency) {
+      return latency != null;
+    }));
+    var middle = Math.floor(latencies.length / 2);
+    if (!latencies.length) {
+      return null;
+    }
+    return latencies.length % 2 ? latencies[middle] : (latencies[middle - 1] + latencies[middle]) / 2;
+  },
+  // Endpoints which have disappeared stay in the pool for `removalGracePeriod`, since the answer may only have been
+  // partial. One which reappears in the meantime carries on with its circuit breaker state, as if it had never gone.
   updateEndpoints: function (endpoints) {
-    var matchingEndpoint;
-    var i;
+    var now = this.clock.now();
+    var missing = [];
     var newEndpoints = endpoints.map(function (info) {
-      return new Endpoint(info);
+      return new Endpoint(info, now);
     });
 
-    for (i = this.endpoints.length; i--;) {
-      matchingEndpoint = _.findWhere(newEndpoints, { url: this.endpoints[i].url });
+    this.endpoints.forEach(function (endpoint) {
+      var matchingEndpoint = _.findWhere(newEndpoints, { url: endpoint.url });
 
       if (matchingEndpoint) { // found a match, remove it from `newEndpoints`, since it's not new
         newEndpoints = _.without(newEndpoints, matchingEndpoint);
-      } else { // didn't find a match in endpoints, so kill that endpoint
-        this.endpoints.splice(i, 1);
+        this.clock.clearTimeout(endpoint._removeTimeout);
+        endpoint.removedAt = null;
+      } else if (endpoint.removedAt == null) {
+        missing.push(endpoint);
       }
+    }, this);
+
+    if (this.removalGracePeriod && !this.destroyed) {
+      missing.forEach(function (endpoint) {
+        endpoint.removedAt = now;
+        endpoint._removeTimeout = this.clock.setTimeout(function () {
+          this.removeEndpoints([endpoint]);
+          this.updatePanicMode();
+        }.bind(this), this.removalGracePeriod);
+      }, this);
+    } else {
+      this.removeEndpoints(missing);
     }
 
-    newEndpoints.forEach(function (endpoint) {
-      endpoint.callback = this.onEndpointReturned.bind(this, endpoint);
-      this.onEndpointRegistered(endpoint);
-    }, this);
+    newEndpoints.forEach(this.onEndpointRegistered, this);
     // push all the actually-new endpoints in
     this.endpoints.push.apply(this.endpoints, newEndpoints);
+    if (newEndpoints.length) {
+      this.emit('endpointsAdded', { endpoints: newEndpoints, reason: { cause: 'discovery' } });
+    }
+    this.updatePanicMode();
   },
-  getStatus: function () {
-    var manager = this;
-    return {
+  removeEndpoints: function (endpoints) {
+    if (!endpoints.length) {
+      return;
+    }
+    this.endpoints = _.difference(this.endpoints, endpoints);
+    endpoints.forEach(this.onEndpointDiscarded, this);
+    this.emit('endpointsRemoved', { endpoints: endpoints, reason: { cause: 'discovery' } });
+  },
+  /**
+   * @param {Boolean=} detailed  Include a description of each endpoint.
+   */
+  getStatus: function (detailed) {
+    var status = {
       total: this.endpoints.length,
-      unhealthy: this.endpoints.reduce(function (badCount, endpoint) {
-        return badCount + (manager.isInPool(endpoint) ? 0 : 1);
-      }, 0)
+      unhealthy: this.endpoints.length - this.countHealthy(),
+      panicking: this.panicking
     };
+    if (detailed) {
+      status.endpoints = this.endpoints.map(this.describeEndpoint, this);
+    }
+    return status;
+  },
+  // A plain object, safe to serialise as JSON.
+  describeEndpoint: function (endpoint) {
+    var slowStarting = this.getSlowStartFactor(endpoint) < 1;
+    return _.extend({
+      url: endpoint.url,
+      priority: endpoint.priority,
+      weight: endpoint.weight,
+      outstanding: endpoint.outstanding,
+      selections: endpoint.selections,
+      latency: endpoint.latency,
+      effectiveWeight: this.getWeight(endpoint),
+      slowStartEndsIn: slowStarting ? endpoint.slowStartAt + this.slowStart.window - this.clock.now() : null,
+      lastError: endpoint.lastError,
+      override: this.overrides[endpoint.url] || null
+    }, this.describeCircuit(endpoint));
+  },
+  // Cancels every timer the manager has set: those of the breaker, those of endpoints on their way out, and those of
+  // leases which have not been reported. None are set after this, even for leases which are reported later.
+  destroy: function () {
+    this.destroyed = true;
+    this.endpoints.forEach(function (endpoint) {
+      this.clock.clearTimeout(endpoint._removeTimeout);
+      this.onEndpointDiscarded(endpoint);
+    }, this);
+    this.timedLeases.forEach(function (lease) {
+      this.clock.clearTimeout(lease._timeout);
+    }, this);
+    this.timedLeases = [];
   }
-};
+});
 
-function Endpoint(info) {
+function Endpoint(info, now) {
   this.name = info.name;
   this.port = info.port;
+  this.priority = info.priority || 0;
+  this.weight = info.weight || 0;
+  this.outstanding = 0;
+  this.selections = 0;
+  this.failures = 0;
+  this.lastError = null;
   this.url = info.name + ':' + info.port;
+  resetLatency(this);
+  this.slowStartAt = now;
+  this.removedAt = null;
+  this._removeTimeout = null;
+}
+
+function Lease(endpoint, now, trial) {
+  this.endpoint = endpoint;
+  this.name = endpoint.name;
+  this.port = endpoint.port;
+  this.url = endpoint.url;
+  this.leasedAt = now;
+  this.returned = false;
+  this.expired = false;
+  this._trial = trial || null;
+  this._timeout = null;
+}
+
+// Fills in the defaults for the `slowStart` option. Without a window, or with nothing to start from, every weight would
+// come out as NaN or 0, which the strategies cannot balance by.
+function getSlowStartOptions(slowStart) {
+  var options = _.defaults({}, slowStart, DEFAULT_SLOW_START);
+  if (typeof options.window !== 'number' || !(options.window > 0)) {
+    throw new Error('Slow start window must be a number above 0');
+  }
+  if (typeof options.minWeight !== 'number' || !(options.minWeight > 0 && options.minWeight <= 1)) {
+    throw new Error('Slow start minWeight must be a number above 0 and at most 1');
+  }
+  if (typeof options.curve !== 'function') {
+    throw new Error('Slow start curve must be a function');
+  }
+  return options;
+}
+
+function resetLatency(endpoint) {
+  endpoint.latency = null;
+  endpoint.peakLatency = null;
+  endpoint.latencySamples = 0;
+}
+
+// RFC 2782: clients must use the lowest-numbered priority they can reach.
+function getPriorityTier(endpoints) {
+  var priority = _.min(_.pluck(endpoints, 'priority'));
+  return endpoints.filter(function (endpoint) {
+    return endpoint.priority === priority;
+  });
+}
+
+// RFC 2782 gives zero-weight targets a very small chance of selection when there are weighted ones available. Here they
+// are only used once every weighted target in the tier is unavailable, and share evenly when the whole tier is weighted 0.
+function getWeightedCandidates(endpoints) {
+  var weighted = endpoints.filter(function (endpoint) {
+    return endpoint.weight > 0;
+  });
+  return weighted.length ? weighted : endpoints;
+}
+
+// Weighted rendezvous hashing: each candidate scores the key, scaled by its weight, and the highest score wins. Adding
+// or removing an endpoint only moves the keys which it wins or had won, and a key whose endpoint is out of the pool
+// goes to the one with its next highest score.
+function selectByKey(candidates, key, manager) {
+  return _.max(candidates, function (endpoint) {
+    var hash = crypto.createHash('md5').update(key + '\n' + endpoint.url).digest().readUInt32BE(0);
+    return -manager.getWeight(endpoint) / Math.log((hash + 1) / 0x100000001);
+  });
 }
 
 module.exports = {
-  defaultPoolManager: function () {
-    return new PoolManager();
+  defaultPoolManager: function (managerOptions) {
+    return new PoolManager(managerOptions);
   },
-  ejectOnErrorPoolManager: function (options) {
+  ejectOnErrorPoolManager: function (options, managerOptions) {
     if (!options) {
       throw new Error('Must supply arguments to ejectOnErrorPoolManager');
     }
 
-    var poolConfig;
-    if (options.failureWindow && options.maxFailures && options.resetTimeout) {
-      poolConfig = getRollingWindowConfiguration(options.failureWindow, options.maxFailures, options.resetTimeout);
-    } else if (options.failureRate && options.failureRateWindow && options.resetTimeout) {
-      poolConfig = getRateConfiguration(options.failureRate, options.failureRateWindow, options.resetTimeout);
-    } else {
-      throw new Error('Must supply either configuration to ejectOnErrorPoolManager');
-    }
+    var manager = new PoolManager(_.extend({}, managerOptions, configure(options)));
+
+    /**
+     * Switches to a new circuit breaker configuration. Circuits stay in the state they are in, but their error history
+     * starts afresh, since it is kept in a different shape for each configuration.
+     *
+     * @param {Object} newOptions  As for `ejectOnErrorPoolManager`.
+     */
+    manager.reconfigureCircuitBreaker = function (newOptions) {
+      _.extend(manager, _.pick(configure(newOptions), BREAKER_HOOKS));
+      manager.endpoints.forEach(function (endpoint) {
+        var state = endpoint.state;
+        manager.onEndpointRegistered(endpoint);
+        endpoint.state = state;
+      });
+      manager.updatePanicMode();
+    };
+    return manager;
 
-    return new PoolManager(poolConfig);
+    // Builds the hooks for a configuration, which the functions below then read their settings from.
+    function configure(newOptions) {
+      var poolConfig;
+      var countErrors;
+      if (newOptions.failureWindow && newOptions.maxFailures && newOptions.resetTimeout) {
+        poolConfig = getRollingWindowConfiguration(newOptions.failureWindow, newOptions.maxFailures,
+          newOptions.resetTimeout);
+      } else if (newOptions.failureRate && newOptions.failureRateWindow && newOptions.resetTimeout) {
+        poolConfig = getRateConfiguration(newOptions.failureRate, newOptions.failureRateWindow,
+          newOptions.resetTimeout);
+      } else {
+        throw new Error('Must supply either configuration to ejectOnErrorPoolManager');
+      }
+      options = newOptions;
 
-    function disableEndpoint(endpoint) {
-      if (endpoint.state === OPEN) {
+      countErrors = poolConfig.onEndpointReturned;
+      // While a trial is on, reports on requests which are not part of it (eg: handed out before the endpoint was ejected)
+      // say nothing about whether it has recovered.
+      poolConfig.onEndpointReturned = function (endpoint, err, duration, trial) {
+        if (trial && trial === endpoint.trial) {
+          onTrialResult(endpoint, err);
+        } else if (!endpoint.trial) {
+          countErrors(endpoint, err);
+        }
+        if (options.maxLatency || options.latencyMultiplier) {
+          ejectIfSlow(endpoint);
+        }
+      };
+      poolConfig.panicThreshold = options.panicThreshold || 0;
+      poolConfig.ejectEndpoint = disableEndpoint;
+      poolConfig.describeCircuit = function (endpoint) {
+        return _.extend({
+          state: STATE_NAMES[endpoint.state],
+          nextHalfOpenIn: endpoint.state === OPEN ? Math.max(endpoint._reopenAt - manager.clock.now(), 0) : null,
+          ejections: endpoint.ejections || 0
+        }, poolConfig.describeErrors(endpoint));
+      };
+      poolConfig.restoreEndpoint = function (endpoint, reason) {
+        var previousState = endpoint.state;
+        manager.clock.clearTimeout(endpoint._reopenTimeout);
+        poolConfig.onEndpointRegistered(endpoint); // back to a closed circuit with a clean error history
+        onClosed(endpoint);
+        emitTransition('endpointRestored', endpoint, previousState, reason);
+      };
+      poolConfig.onEndpointDiscarded = function (endpoint) {
+        manager.clock.clearTimeout(endpoint._reopenTimeout);
+      };
+      return poolConfig;
+    }
+
+    function emitTransition(eventName, endpoint, previousState, reason) {
+      manager.emit(eventName, {
+        endpoint: endpoint,
+        reason: reason,
+        previousState: STATE_NAMES[previousState]
+      });
+      manager.updatePanicMode();
+    }
+    function disableEndpoint(endpoint, reason) {
+      var previousState = endpoint.state;
+      if (previousState === OPEN) {
+        // a failing health check shows that the endpoint has not recovered: wait for it again before letting a real
+        // request through to it
+        if (reason && reason.cause === 'healthCheck') {
+          openCircuit(endpoint, getResetTimeout(endpoint));
+        }
+        return;
+      }
+      if (previousState === CLOSED && isAtEjectionLimit()) {
         return;
       }
+      countEjection(endpoint, previousState);
+      openCircuit(endpoint, getResetTimeout(endpoint));
+      emitTransition('endpointEjected', endpoint, previousState, reason);
+    }
+    function openCircuit(endpoint, resetTimeout) {
       endpoint.state = OPEN;
-      clearInterval(endpoint._reopenTimeout);
-      endpoint._reopenTimeout = setTimeout(function () {
+      endpoint._reopenAt = manager.clock.now() + resetTimeout;
+      manager.clock.clearTimeout(endpoint._reopenTimeout);
+      endpoint.trial = null;
+      if (manager.destroyed) {
+        return;
+      }
+      endpoint._reopenTimeout = manager.clock.setTimeout(function () {
         endpoint.state = HALF_OPEN_READY;
-      }, options.resetTimeout);
+        endpoint.trial = { started: 0, successes: 0, failures: 0 };
+        emitTransition('endpointHalfOpen', endpoint, OPEN, { cause: 'resetTimeout' });
+      }, resetTimeout);
+    }
+    // Each consecutive ejection multiplies the reset timeout by `resetTimeoutMultiplier`, up to `maxResetTimeout`. The
+    // count starts over once an endpoint has stayed closed for `ejectionCountResetPeriod`.
+    function countEjection(endpoint, previousState) {
+      var resetPeriod = options.ejectionCountResetPeriod || options.resetTimeout;
+      if (previousState === CLOSED && manager.clock.now() - endpoint.closedAt >= resetPeriod) {
+        endpoint.ejections = 0;
+      }
+      endpoint.ejections = (endpoint.ejections || 0) + 1;
+    }
+    function getResetTimeout(endpoint) {
+      return Math.min(
+        options.resetTimeout * Math.pow(options.resetTimeoutMultiplier || 1, (endpoint.ejections || 1) - 1),
+        options.maxResetTimeout || Infinity
+      );
+    }
+    // Whether ejecting one more endpoint would take more than `maxEjectionPercent` of the pool out. Endpoints which are
+    // recovering still count as ejected.
+    function isAtEjectionLimit() {
+      var ejected = manager.endpoints.filter(function (endpoint) {
+        return endpoint.state !== CLOSED;
+      }).length;
+      return options.maxEjectionPercent != null &&
+        (ejected + 1) / manager.endpoints.length * 100 > options.maxEjectionPercent;
+    }
+    function closeEndpoint(endpoint) {
+      var previousState = endpoint.state;
+      endpoint.state = CLOSED;
+      onClosed(endpoint);
+      emitTransition('endpointRestored', endpoint, previousState, { cause: 'halfOpenSuccess' });
+    }
+    // A half-open endpoint takes up to `halfOpenRequests` trial requests at a time. It closes once `halfOpenSuccesses` of
+    // them have succeeded (at a success rate of at least `halfOpenSuccessRate`, when given), and opens again as soon as
+    // more than `halfOpenFailureTolerance` have failed.
+    function onTrialResult(endpoint, err) {
+      var trial = endpoint.trial;
+      if (err) {
+        trial.failures++;
+      } else {
+        trial.successes++;
+      }
+
+      if (trial.failures > (options.halfOpenFailureTolerance || 0)) {
+        disableEndpoint(endpoint, { cause: 'halfOpenFailure' });
+      } else if (trial.successes >= (options.halfOpenSuccesses || 1) &&
+          trial.successes / (trial.successes + trial.failures) >= (options.halfOpenSuccessRate || 0)) {
+        closeEndpoint(endpoint);
+      } else {
+        updateTrialState(endpoint);
+      }
+    }
+    function updateTrialState(endpoint) {
+      var trial = endpoint.trial;
+      var inFlight = trial.started - trial.successes - trial.failures;
+      endpoint.state = inFlight < (options.halfOpenRequests || 1) ? HALF_OPEN_READY : HALF_OPEN_PENDING;
+    }
+    // A trial request which ended without an outcome gives its place up to another one.
+    function onEndpointReleased(endpoint, trial) {
+      if (trial && trial === endpoint.trial) {
+        trial.started = Math.max(trial.started - 1, trial.successes + trial.failures);
+        updateTrialState(endpoint);
+      }
+    }
+    function onClosed(endpoint) {
+      endpoint.trial = null;
+      resetLatency(endpoint); // judge it on how it does from now on
+      endpoint.slowStartAt = endpoint.closedAt = manager.clock.now();
+    }
+    // Ejects a closed endpoint whose average latency is over `maxLatency`, or over `latencyMultiplier` times the median
+    // average latency of the pool, once there are enough samples to go on.
+    function ejectIfSlow(endpoint) {
+      var minSamples = options.minLatencySamples || DEFAULT_MIN_LATENCY_SAMPLES;
+      var limit = Math.min(
+        options.maxLatency || Infinity,
+        options.latencyMultiplier ? options.latencyMultiplier * manager.getMedianLatency() : Infinity
+      );
+
+      if (endpoint.state === CLOSED && endpoint.latencySamples >= minSamples && endpoint.latency > limit) {
+        disableEndpoint(endpoint, { cause: 'latency', latency: endpoint.latency, limit: limit });
+      }
     }
     function isInPool(endpoint) {
       return endpoint.state === CLOSED || endpoint.state === HALF_OPEN_READY;
     }
+    // Returns the trial the request is part of, if any.
     function onEndpointSelected(endpoint) {
       if (endpoint.state === HALF_OPEN_READY) {
-        endpoint.state = HALF_OPEN_PENDING; // let one through, then turn it off again
+        endpoint.trial.started++;
+        updateTrialState(endpoint); // pending once that's all the trial requests we let through at once
+        return endpoint.trial;
       }
     }
 
@@ -122,11 +691,21 @@ module.exports = {
       return {
         isInPool: isInPool,
         onEndpointSelected: onEndpointSelected,
+        onEndpointReleased: onEndpointReleased,
         onEndpointRegistered: function (endpoint) {
           endpoint.state = CLOSED;
-          // A ring buffer, holding the timestamp of each error. As we loop around the ring, the timestamp in the slot we're
-          // about to fill will tell us the error rate. That is, `maxFailure` number of requests in how many milliseconds?
-          endpoint.buffer = new RingBuffer(maxFailures - 1);
+          // A ring buffer, holding the timestamp of each of the last `maxFailures` errors. Once we have written the
+          // latest error, the slot we're about to fill holds the oldest one, which tells us the error rate. That is,
+          // `maxFailure` number of requests in how many milliseconds?
+          endpoint.buffer = new RingBuffer(maxFailures);
+        },
+        describeErrors: function (endpoint) {
+          var now = manager.clock.now();
+          return {
+            errors: endpoint.buffer.buffer.filter(function (time) {
+              return time != null && now - time <= failureWindow;
+            }).length
+          };
         },
         onEndpointReturned: function (endpoint, err) {
           if (err) {
@@ -134,20 +713,13 @@ module.exports = {
               return;
             }
 
-            if (endpoint.buffer.size === 0) {
-              disableEndpoint(endpoint);
-              return;
-            }
-
-            var now = Date.now();
-            var oldestErrorTime = endpoint.buffer.read();
+            var now = manager.clock.now();
             endpoint.buffer.write(now);
+            var oldestErrorTime = endpoint.buffer.read();
 
-            if (endpoint.state === HALF_OPEN_PENDING || (oldestErrorTime != null && now - oldestErrorTime <= failureWindow)) {
-              disableEndpoint(endpoint);
+            if (oldestErrorTime != null && now - oldestErrorTime <= failureWindow) {
+              disableEndpoint(endpoint, { cause: 'failures', failures: maxFailures, failureWindow: failureWindow });
             }
-          } else if (endpoint.state === HALF_OPEN_PENDING) {
-            endpoint.state = CLOSED;
           }
         }
       };
@@ -158,22 +730,30 @@ module.exports = {
       return {
         isInPool: isInPool,
         onEndpointSelected: onEndpointSelected,
+        onEndpointReleased: onEndpointReleased,
         onEndpointRegistered: function (endpoint) {
           endpoint.state = CLOSED;
           endpoint.buffer = new RingBuffer(failureRateWindow);
           endpoint.errors = 0;
         },
+        describeErrors: function (endpoint) {
+          return {
+            errors: endpoint.errors,
+            errorRate: endpoint.errors / failureRateWindow
+          };
+        },
         onEndpointReturned: function (endpoint, err) {
-          var state = endpoint.state;
           var newStatus = err ? 1 : 0;
           var oldestStatus = endpoint.buffer.read() ? 1 : 0;
           endpoint.buffer.write(newStatus);
           endpoint.errors += newStatus - oldestStatus;
 
-          if (err && (state === HALF_OPEN_PENDING || endpoint.errors >= maxErrorCount)) {
-            disableEndpoint(endpoint);
-          } else if (!err && state === HALF_OPEN_PENDING) {
-            endpoint.state = CLOSED;
+          if (err && endpoint.errors >= maxErrorCount) {
+            disableEndpoint(endpoint, {
+              cause: 'failureRate',
+              failureRate: endpoint.errors / failureRateWindow,
+              errors: endpoint.errors
+            });
           }
         }
       };
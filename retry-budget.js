@@ -0,0 +1,61 @@
+var systemClock = require('./clock');
+
+/**
+ * Caps retries at a share of requests over a sliding window of time, so that a failing backend does not get hit with
+ * a multiple of its normal traffic. A small number of retries is always allowed, so that quiet pools can still retry.
+ *
+ * @param {{ratio: Number, minRetries: Number, window: Number}} options
+ *        - ratio: Retries allowed per request, eg: 0.2 for 20%.
+ *        - minRetries: Retries allowed in each window regardless of the number of requests.
+ *        - window: Size in milliseconds of the sliding window. It is tracked in ten buckets.
+ *        - clock: Optional, as for `EndpointPool`.
+ */
+function RetryBudget(options) {
+  this.ratio = options.ratio;
+  this.minRetries = options.minRetries;
+  this.bucketSize = options.window / BUCKETS;
+  this.requests = new Array(BUCKETS);
+  this.retries = new Array(BUCKETS);
+  this.currentBucket = null;
+  this.clock = options.clock || systemClock;
+}
+
+var BUCKETS = 10;
+
+RetryBudget.prototype = {
+  recordRequest: function () {
+    this.requests[this.advance()]++;
+  },
+  /**
+   * @return {Boolean}  Whether a retry is allowed. If it is, it is taken from the budget.
+   */
+  tryRetry: function () {
+    var i = this.advance();
+    if (sum(this.retries) + 1 > this.minRetries + this.ratio * sum(this.requests)) {
+      return false;
+    }
+    this.retries[i]++;
+    return true;
+  },
+  // clears out the buckets which have left the window since the last call, and returns the index of the current one
+  advance: function () {
+    var bucket = Math.floor(this.clock.now() / this.bucketSize);
+    var stale = this.currentBucket == null ? BUCKETS : Math.min(bucket - this.currentBucket, BUCKETS);
+    var i;
+
+    for (i = 1; i <= stale; ++i) {
+      this.requests[(bucket - stale + i) % BUCKETS] = 0;
+      this.retries[(bucket - stale + i) % BUCKETS] = 0;
+    }
+    this.currentBucket = bucket;
+    return bucket % BUCKETS;
+  }
+};
+
+function sum(counts) {
+  return counts.reduce(function (total, count) {
+    return total + count;
+  }, 0);
+}
+
+module.exports = RetryBudget;
@@ -0,0 +1,50 @@
+var fs = require('fs');
+
+/**
+ * Snapshot stores keep the last endpoints which were discovered, so that a pool which starts while service discovery is
+ * down can use them until it comes back. A store is an object with two methods:
+ *
+ * - `load(callback)`: calls back asynchronously with an error, or with the last snapshot saved (or null if there is none).
+ * - `save(snapshot, callback)`: stores the snapshot, and calls back with an error if it could not.
+ *
+ * A snapshot is an object with the `endpoints` (the records from the source) and the `time` (in milliseconds since the
+ * epoch) they were discovered.
+ */
+module.exports = {
+  /**
+   * Keeps the snapshot as JSON in a file. It is written to a temporary file first and then renamed, so that a crash
+   * part-way through never leaves a broken snapshot.
+   *
+   * @param {String} path
+   */
+  file: function (path) {
+    return {
+      load: function (callback) {
+        fs.readFile(path, 'utf8', function (err, json) {
+          var snapshot;
+          if (err) {
+            callback(err.code === 'ENOENT' ? null : err, null);
+            return;
+          }
+          try {
+            snapshot = JSON.parse(json);
+          } catch (parseError) {
+            callback(parseError, null);
+            return;
+          }
+          callback(null, snapshot);
+        });
+      },
+      save: function (snapshot, callback) {
+        var tempPath = path + '.tmp';
+        fs.writeFile(tempPath, JSON.stringify(snapshot), function (err) {
+          if (err) {
+            callback(err);
+          } else {
+            fs.rename(tempPath, path, callback);
+          }
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,119 @@
+/*globals Promise */
+var _ = require('underscore');
+var dns = require('dns');
+
+/**
+ * Discovery sources. A source is an object with a `resolve(callback)` method, which calls back with an error or a list of
+ * records. Each record must have a `name` and a `port`, and may have a `priority`, a `weight` (as in SRV records) and a
+ * `ttl` in seconds. A source which can never give TTLs says so with `hasTtls: false`.
+ */
+module.exports = {
+  /**
+   * SRV records for a name. Node's resolver does not give the TTLs of SRV records.
+   *
+   * @param {String} name
+   * @param {{servers: String[], resolver: dns.Resolver}=} options  Query `servers` or an existing `resolver` instead of
+   *                                                                  the system resolver.
+   */
+  srv: function (name, options) {
+    var resolver = getResolver(options);
+    return {
+      hasTtls: false,
+      resolve: function (callback) {
+        (resolver || dns).resolveSrv(name, callback);
+      }
+    };
+  },
+
+  /**
+   * A and AAAA records for a name, all served on the same port. Fails only if both lookups fail.
+   *
+   * @param {String} name
+   * @param {Number} port
+   * @param {{servers: String[], resolver: dns.Resolver}=} options  As for `srv`.
+   */
+  address: function (name, port, options) {
+    var resolver = getResolver(options);
+    return {
+      resolve: function (callback) {
+        var r = resolver || dns;
+        var pending = 2;
+        var errors = [];
+        var records = [];
+
+        function onResolved(err, addresses) {
+          if (err) {
+            errors.push(err);
+          } else {
+            records.push.apply(records, addresses.map(function (address) {
+              return { name: address.address, port: port, ttl: address.ttl };
+            }));
+          }
+          if (--pending === 0) {
+            callback(errors.length === 2 ? errors[0] : null, records);
+          }
+        }
+
+        r.resolve4(name, { ttl: true }, onResolved);
+        r.resolve6(name, { ttl: true }, onResolved);
+      }
+    };
+  },
+
+  /**
+   * A fixed list of records, eg: for local development.
+   *
+   * @param {Object[]} records
+   */
+  list: function (records) {
+    return {
+      resolve: function (callback) {
+        setImmediate(callback, null, records.slice());
+      }
+    };
+  },
+
+  /**
+   * Records from a function which returns them, or a promise for them.
+   *
+   * @param {Function} fn
+   */
+  fromFunction: function (fn) {
+    return {
+      resolve: function (callback) {
+        Promise.resolve().then(fn).then(function (records) {
+          callback(null, records);
+        }, callback);
+      }
+    };
+  },
+
+  /**
+   * @param {(Object|Function|Object[])} source  A source, a function for `fromFunction` or an array for `list`.
+   */
+  create: function (source) {
+    if (_.isArray(source)) {
+      return module.exports.list(source);
+    }
+    if (typeof source === 'function') {
+      return module.exports.fromFunction(source);
+    }
+    if (source && typeof source.resolve === 'function') {
+      return source;
+    }
+    throw new Error('Discovery source must have a resolve method');
+  }
+};
+
+function getResolver(options) {
+  var resolver;
+  if (options && options.resolver) {
+    return options.resolver;
+  }
+  if (options && options.servers) {
+    resolver = new dns.Resolver();
+    resolver.setServers(options.servers);
+    return resolver;
+  }
+  return null;
+}
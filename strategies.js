@@ -0,0 +1,170 @@
+var _ = require('underscore');
+
+/**
+ * Load-balancing strategies. A strategy is an object with a `select(candidates, poolManager)` method which returns one
+ * of the candidates. The candidates are the endpoints currently in the pool, limited to the best SRV priority, in pool
+ * order. It is never called with an empty list. `poolManager.getWeight(endpoint)` gives the weight to use for each one,
+ * and `endpoint.outstanding` is the number of times it has been handed out without its callback being called yet.
+ * `endpoint.latency` and `endpoint.peakLatency` are moving averages of its response times, or null before the first.
+ *
+ * Strategies may keep state, so each pool gets its own instance from the factories below.
+ */
+var strategies = {
+  'round-robin': roundRobin,
+  random: random,
+  'least-outstanding': leastOutstanding,
+  'power-of-two-choices': powerOfTwoChoices,
+  'peak-ewma': peakEwma
+};
+
+module.exports = _.extend({
+  /**
+   * @param {(String|{select: Function})=} strategy  The name of a built-in strategy, or a custom strategy object.
+   *                                                 Defaults to `round-robin`.
+   */
+  create: function (strategy) {
+    if (strategy == null) {
+      return roundRobin();
+    }
+    if (typeof strategy === 'string' && _.has(strategies, strategy)) {
+      return strategies[strategy]();
+    }
+    if (strategy && typeof strategy.select === 'function') {
+      return strategy;
+    }
+    throw new Error('Unknown load-balancing strategy: ' + strategy);
+  }
+}, strategies);
+
+// Smooth weighted round-robin (as used by nginx). Each candidate accrues its weight on every selection and the one with
+// the highest running total wins and pays back the sum of all weights. Ties go to whichever candidate comes next in pool
+// order, so equal weights give plain round-robin. The running totals start over whenever the set of candidates changes,
+// so an endpoint coming back into the pool is not penalised for the time it was out.
+function roundRobin() {
+  var offset = 0;
+  var candidateKey = null;
+  var currentWeights = {};
+
+  return {
+    select: function (candidates, manager) {
+      var key = _.pluck(candidates, 'url').join(',');
+      var endpoints = manager.endpoints;
+      var l = endpoints.length;
+      var totalWeight = 0;
+      var best;
+      var bestIndex;
+      var bestOrder;
+
+      if (key !== candidateKey) {
+        candidateKey = key;
+        currentWeights = {};
+      }
+
+      candidates.forEach(function (endpoint) {
+        var index = endpoints.indexOf(endpoint);
+        var order = (index - offset % l + l) % l;
+        var weight = manager.getWeight(endpoint);
+        var current = (currentWeights[endpoint.url] || 0) + weight;
+
+        currentWeights[endpoint.url] = current;
+        totalWeight += weight;
+
+        if (!best || current > currentWeights[best.url] || (current === currentWeights[best.url] && order < bestOrder)) {
+          best = endpoint;
+          bestIndex = index;
+          bestOrder = order;
+        }
+      });
+
+      currentWeights[best.url] -= totalWeight;
+      offset = bestIndex + 1;
+      return best;
+    }
+  };
+}
+
+function random() {
+  return {
+    select: function (candidates, manager) {
+      return pickWeighted(candidates, manager);
+    }
+  };
+}
+
+// Picks the endpoint with the fewest outstanding requests relative to its weight, using round-robin between ties so
+// that a lightly loaded pool still spreads its traffic.
+function leastOutstanding() {
+  var tieBreaker = roundRobin();
+
+  return {
+    select: function (candidates, manager) {
+      var loads = candidates.map(function (endpoint) {
+        return getLoad(endpoint, manager);
+      });
+      var minLoad = _.min(loads);
+
+      return tieBreaker.select(candidates.filter(function (endpoint, i) {
+        return loads[i] === minLoad;
+      }), manager);
+    }
+  };
+}
+
+// Picks two distinct endpoints at random (by weight) and uses the one with fewer outstanding requests relative to its
+// weight. This avoids the herding of least-outstanding when many clients share the same view of the pool.
+function powerOfTwoChoices() {
+  return {
+    select: function (candidates, manager) {
+      var first = pickWeighted(candidates, manager);
+      var second;
+
+      if (candidates.length === 1) {
+        return first;
+      }
+      second = pickWeighted(_.without(candidates, first), manager);
+      return getLoad(second, manager) < getLoad(first, manager) ? second : first;
+    }
+  };
+}
+
+// Picks the endpoint with the lowest expected cost: its peak-sensitive latency average multiplied by the requests it
+// would have outstanding, relative to its weight. Endpoints without any measurements yet are assumed to be as fast as
+// the median, so they get a share of traffic without being flooded. Ties go round-robin.
+function peakEwma() {
+  var tieBreaker = roundRobin();
+
+  return {
+    select: function (candidates, manager) {
+      var median = manager.getMedianLatency() || 0;
+      var costs = candidates.map(function (endpoint) {
+        var latency = endpoint.peakLatency != null ? endpoint.peakLatency : median;
+        return latency * (endpoint.outstanding + 1) / manager.getWeight(endpoint);
+      });
+      var minCost = _.min(costs);
+
+      return tieBreaker.select(candidates.filter(function (endpoint, i) {
+        return costs[i] === minCost;
+      }), manager);
+    }
+  };
+}
+
+function getLoad(endpoint, manager) {
+  return endpoint.outstanding / manager.getWeight(endpoint);
+}
+
+function pickWeighted(candidates, manager) {
+  var weights = candidates.map(manager.getWeight, manager);
+  var target = Math.random() * weights.reduce(function (sum, weight) {
+    return sum + weight;
+  }, 0);
+  var i;
+
+  for (i = 0; i < candidates.length - 1; ++i) {
+    target -= weights[i];
+    if (target < 0) {
+      break;
+    }
+  }
+  return candidates[i];
+}
@@ -1,7 +1,17 @@
-/*globals it, describe, beforeEach, afterEach */
+/*globals it, describe, beforeEach, afterEach, Promise */
+var _ = require('underscore');
 var expect = require('expect.js');
 var Sinon = require('sinon');
 var DEP = require('./');
+var testing = require('./testing');
+
+// captured before the timers are faked, for waiting on promises to settle
+var realSetImmediate = setImmediate;
+function settle() {
+  return new Promise(function (resolve) {
+    realSetImmediate(resolve);
+  });
+}
 
 describe('DNS Endpoint Pool', function () {
   var stubs = [];
@@ -11,149 +21,2795 @@ describe('DNS Endpoint Pool', function () {
     return stub;
   }
 
-  beforeEach(function () {
-    clock = autoRestore(Sinon.useFakeTimers());
-  });
+  // Builds a pool without DNS, on the faked timers. Takes any options for `new DEP()`, plus the `records` it discovers
+  // (default bar, baz and quux), the `discoveryName`, the `ttl` (default 5000) and the `circuitBreaker` configuration.
+  // Its `source` is a `testing.FakeSource`, which can be told to answer differently.
+  function createPool(options) {
+    options = options || {};
+    return new DEP(options.discoveryName || 'foo.localhost', options.ttl || 5000, options.circuitBreaker || null,
+      _.extend(_.omit(options, 'records', 'discoveryName', 'ttl', 'circuitBreaker'), {
+        source: new testing.FakeSource(options.records || [
+          { name: 'bar.localhost', port: 8000 },
+          { name: 'baz.localhost', port: 8001 },
+          { name: 'quux.localhost', port: 8002 }
+        ])
+      }));
+  }
+
+  beforeEach(function () {
+    clock = autoRestore(Sinon.useFakeTimers());
+  });
+
+  afterEach(function () {
+    var stub;
+    while ((stub = stubs.pop())) {
+      stub.restore();
+    }
+  });
+
+  it('enforces that all arguments are passed to the constructor', function () {
+    autoRestore(Sinon.stub(DEP.prototype, 'update'));
+    [
+      function () { return new DEP(); },
+      function () { return new DEP('foo.localhost'); }
+    ].forEach(function (fn) {
+      expect(fn).to.throwError('Must supply all arguments');
+    });
+  });
+
+  it('will automatically begin updating when constructed', function () {
+    /*eslint no-unused-vars: 0 */
+    var stub = autoRestore(Sinon.stub(DEP.prototype, 'update'));
+    var dep = new DEP('foo.localhost', 5000);
+    Sinon.assert.calledOnce(stub);
+  });
+
+  it('will execute a callback after the first update', function () {
+    var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+    var called = false;
+
+    resolve.callsArgWith(0, null, []);
+    var dep = new DEP('foo.localhost', 5000, null, function () {
+      called = true;
+    });
+
+    expect(called).to.be(true);
+
+    dep.stopUpdating();
+  });
+
+  it('will update on a timer', function () {
+    var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+
+    resolve.callsArgWith(0, null, []);
+    var dep = new DEP('foo.localhost', 5000);
+
+    Sinon.assert.calledOnce(resolve);
+
+    clock.tick(5000);
+    Sinon.assert.calledTwice(resolve);
+
+    clock.tick(5000);
+    Sinon.assert.calledThrice(resolve);
+
+    dep.stopUpdating();
+  });
+
+  it('will add resolved endpoints and serve them in rotation', function () {
+    var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+
+    resolve.callsArgWith(0, null, [
+      { name: 'bar.localhost', port: 8000 },
+      { name: 'baz.localhost', port: 8001 }
+    ]);
+    var dep = new DEP('foo.localhost', 5000);
+
+    expect(dep.getEndpoint().url).to.be('bar.localhost:8000');
+    expect(dep.getEndpoint().url).to.be('baz.localhost:8001');
+    dep.stopUpdating();
+  });
+
+  it('will trigger an error if resolving fails', function () {
+    var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+
+    resolve
+      .onFirstCall().callsArgWith(0, null, [
+        { name: 'bar.localhost', port: 8000 },
+        { name: 'baz.localhost', port: 8001 }
+      ])
+      .onSecondCall().callsArgWith(0, { error: true });
+
+    var dep = new DEP('foo.localhost', 5000);
+
+    expect(dep.getEndpoint().url).to.be('bar.localhost:8000');
+
+    var errorData;
+    dep.on('updateError', function (err) {
+      errorData = err;
+    });
+
+    clock.tick(5000);
+    expect(errorData).to.eql({ error: true });
+
+    // but it reuses the previous hosts
+    expect(dep.getEndpoint().url).to.be('baz.localhost:8001');
+  });
+
+  it('will update with new endpoints returned', function () {
+    var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+
+    resolve
+      .onFirstCall().callsArgWith(0, null, [
+        { name: 'bar.localhost', port: 8000 },
+        { name: 'baz.localhost', port: 8001 }
+      ])
+      .onSecondCall().callsArgWith(0, null, [
+        { name: 'baz.localhost', port: 8001  },
+        { name: 'quux.localhost', port: 8002 }
+      ]);
+    var dep = new DEP('foo.localhost', 5000);
+
+    dep.getEndpoint(); // bar
+    var bazEndpoint = dep.getEndpoint();
+
+    expect(bazEndpoint.url).to.be('baz.localhost:8001');
+
+    clock.tick(5000);
+
+    expect(dep.getEndpoint().url).to.be('baz.localhost:8001');
+
+    expect(dep.getEndpoint().url).to.be('quux.localhost:8002');
+
+    dep.stopUpdating();
+  });
+
+  it('can query the state of endpoints', function () {
+    var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+
+    resolve
+      .onFirstCall().callsArgWith(0, { error: true })
+      .onSecondCall().callsArgWith(0, null, [ { name: 'bar.localhost', port: 8000 } ])
+      .onThirdCall().callsArgWith(0, { error: true });
+
+    var dep = new DEP('foo.localhost', 5000);
+
+    expect(dep.hasEndpoints()).to.be(false);
+    clock.tick(5000);
+    expect(dep.hasEndpoints()).to.be(true);
+    clock.tick(5000);
+    // should still have old endpoints
+    expect(dep.hasEndpoints()).to.be(true);
+  });
+
+  describe('promise API', function () {
+    it('resolves ready() once an update brings back endpoints', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+      var isReady = false;
+
+      resolve
+        .onFirstCall().callsArgWith(0, { error: true })
+        .onSecondCall().callsArgWith(0, null, [])
+        .onThirdCall().callsArgWith(0, null, [{ name: 'bar.localhost', port: 8000 }]);
+
+      var dep = new DEP('foo.localhost', 5000);
+      var ready = dep.ready().then(function (pool) {
+        isReady = true;
+        expect(pool).to.be(dep);
+      });
+
+      clock.tick(5000);
+      return settle().then(function () {
+        expect(isReady).to.be(false);
+        clock.tick(5000);
+        return ready;
+      }).then(function () {
+        expect(dep.ready()).to.be(dep.ready());
+        dep.stopUpdating();
+      });
+    });
+
+    it('resolves ready() straight away if there are already endpoints', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+
+      resolve.callsArgWith(0, null, [{ name: 'bar.localhost', port: 8000 }]);
+      var dep = new DEP('foo.localhost', 5000);
+
+      return dep.ready().then(function () {
+        dep.stopUpdating();
+      });
+    });
+
+    describe('withEndpoint()', function () {
+      var dep;
+
+      beforeEach(function () {
+        var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+
+        resolve.callsArgWith(0, null, [{ name: 'bar.localhost', port: 8000 }]);
+        dep = new DEP('foo.localhost', 5000, { maxFailures: 1, failureWindow: 10000, resetTimeout: 10000 });
+      });
+
+      afterEach(function () {
+        dep.stopUpdating();
+      });
+
+      it('reports success to the circuit breaker', function () {
+        return dep.withEndpoint(function (endpoint) {
+          expect(endpoint.url).to.be('bar.localhost:8000');
+          return Promise.resolve('result');
+        }).then(function (result) {
+          expect(result).to.be('result');
+          expect(dep.getStatus().unhealthy).to.be(0);
+        });
+      });
+
+      it('reports errors to the circuit breaker', function () {
+        var error = new Error('failed');
+
+        return dep.withEndpoint(function () {
+          throw error;
+        }).then(function () {
+          throw new Error('should have rejected');
+        }, function (err) {
+          expect(err).to.be(error);
+          expect(dep.getStatus().unhealthy).to.be(1);
+        });
+      });
+
+      it('rejects with a NoEndpointsError if there are no endpoints', function () {
+        var fn = Sinon.spy();
+
+        dep.getEndpoint().callback(true);
+        return dep.withEndpoint(fn).then(function () {
+          throw new Error('should have rejected');
+        }, function (err) {
+          expect(err).to.be.a(DEP.NoEndpointsError);
+          expect(err.message).to.be('No endpoints available for foo.localhost');
+          Sinon.assert.notCalled(fn);
+        });
+      });
+    });
+  });
+
+  describe('endpoint events', function () {
+    it('emits membership changes', function () {
+      var added = Sinon.spy();
+      var removed = Sinon.spy();
+
+      autoRestore(Sinon.stub(DEP.prototype, 'update'));
+      var dep = new DEP('foo.localhost', 5000);
+      dep.on('endpointsAdded', added);
+      dep.on('endpointsRemoved', removed);
+
+      dep.setEndpoints([{ name: 'bar.localhost', port: 8000 }, { name: 'baz.localhost', port: 8001 }]);
+      Sinon.assert.calledOnce(added);
+      Sinon.assert.notCalled(removed);
+      expect(_.pluck(added.lastCall.args[0].endpoints, 'url')).to.eql(['bar.localhost:8000', 'baz.localhost:8001']);
+      expect(added.lastCall.args[0].reason).to.eql({ cause: 'discovery' });
+
+      var bar = dep.getEndpoint();
+      dep.setEndpoints([{ name: 'baz.localhost', port: 8001 }]);
+      Sinon.assert.calledOnce(added);
+      Sinon.assert.calledOnce(removed);
+      expect(_.pluck(removed.lastCall.args[0].endpoints, 'url')).to.eql(['bar.localhost:8000']);
+      expect(removed.lastCall.args[0].endpoints[0]).to.be(bar.endpoint);
+
+      bar.callback(null); // can still be reported
+      expect(bar.endpoint.outstanding).to.be(0);
+    });
+
+    it('emits circuit state changes', function () {
+      var events = [];
+      var dep = createPool({
+        records: [{ name: 'bar.localhost', port: 8000 }],
+        circuitBreaker: { maxFailures: 2, failureWindow: 10000, resetTimeout: 10000 }
+      });
+
+      ['endpointEjected', 'endpointHalfOpen', 'endpointRestored'].forEach(function (eventName) {
+        dep.on(eventName, function (event) {
+          events.push([eventName, event.endpoint.url, event.previousState, event.reason]);
+        });
+      });
+
+      dep.getEndpoint().callback(true);
+      dep.getEndpoint().callback(true);
+      clock.tick(10000);
+      dep.getEndpoint().callback(true);
+      clock.tick(10000);
+      dep.getEndpoint().callback(null);
+
+      expect(events).to.eql([
+        ['endpointEjected', 'bar.localhost:8000', 'closed', { cause: 'failures', failures: 2, failureWindow: 10000 }],
+        ['endpointHalfOpen', 'bar.localhost:8000', 'open', { cause: 'resetTimeout' }],
+        ['endpointEjected', 'bar.localhost:8000', 'half-open-pending', { cause: 'halfOpenFailure' }],
+        ['endpointHalfOpen', 'bar.localhost:8000', 'open', { cause: 'resetTimeout' }],
+        ['endpointRestored', 'bar.localhost:8000', 'half-open-pending', { cause: 'halfOpenSuccess' }]
+      ]);
+      dep.stopUpdating();
+    });
+
+    it('gives the failure rate when ejecting with the rate configuration', function () {
+      var ejected = Sinon.spy();
+      var dep = createPool({
+        records: [{ name: 'bar.localhost', port: 8000 }],
+        circuitBreaker: { failureRate: 0.5, failureRateWindow: 4, resetTimeout: 10000 }
+      });
+
+      dep.on('endpointEjected', ejected);
+      dep.getEndpoint().callback(null);
+      dep.getEndpoint().callback(true);
+      dep.getEndpoint().callback(true);
+
+      Sinon.assert.calledOnce(ejected);
+      expect(ejected.lastCall.args[0].reason).to.eql({ cause: 'failureRate', failureRate: 0.5, errors: 2 });
+      dep.stopUpdating();
+    });
+  });
+
+  describe('leases', function () {
+    var options = {
+      records: [{ name: 'bar.localhost', port: 8000 }],
+      ttl: 60000,
+      circuitBreaker: { maxFailures: 2, failureWindow: 10000, resetTimeout: 10000 }
+    };
+
+    it('ignores reports after the first one', function () {
+      var reportedTwice = Sinon.spy();
+      var ejected = Sinon.spy();
+      var dep = createPool(options);
+
+      dep.on('leaseReportedTwice', reportedTwice);
+      dep.on('endpointEjected', ejected);
+      var lease = dep.getEndpoint();
+      lease.callback(true);
+      lease.callback(true);
+
+      Sinon.assert.notCalled(ejected);
+      Sinon.assert.calledOnce(reportedTwice);
+      expect(reportedTwice.lastCall.args[0].lease).to.be(lease);
+      expect(reportedTwice.lastCall.args[0].endpoint.url).to.be('bar.localhost:8000');
+      dep.stopUpdating();
+    });
+
+    it('counts leases which are not reported in time as failures', function () {
+      var expired = Sinon.spy();
+      var reportedLate = Sinon.spy();
+      var reportedTwice = Sinon.spy();
+      var dep = createPool(_.extend({ leaseTimeout: 1000 }, options));
+
+      dep.on('leaseExpired', expired);
+      dep.on('leaseReportedLate', reportedLate);
+      dep.on('leaseReportedTwice', reportedTwice);
+      var lease = dep.getEndpoint();
+      dep.getEndpoint().callback(null);
+      clock.tick(999);
+      Sinon.assert.notCalled(expired);
+      clock.tick(1);
+      Sinon.assert.calledOnce(expired);
+      expect(expired.lastCall.args[0].lease).to.be(lease);
+      expect(lease.expired).to.be(true);
+
+      var status = dep.getStatus({ detailed: true }).endpoints[0];
+      expect(status.outstanding).to.be(0);
+      expect(status.errors).to.be(1);
+      expect(status.lastError.message).to.be('Timed out after 1000ms');
+
+      lease.callback(null); // too late
+      Sinon.assert.calledOnce(reportedLate);
+      expect(reportedLate.lastCall.args[0].lease).to.be(lease);
+      Sinon.assert.notCalled(reportedTwice);
+      expect(dep.getStatus({ detailed: true }).endpoints[0].errors).to.be(1);
+      dep.stopUpdating();
+    });
+
+    it('can count expired leases as neutral, freeing up half-open trials', function () {
+      var dep = createPool(_.extend({ leaseTimeout: 1000, leaseTimeoutOutcome: 'neutral' }, options));
+
+      dep.getEndpoint().callback(true);
+      dep.getEndpoint().callback(true);
+      clock.tick(10000);
+
+      dep.getEndpoint(); // never reported
+      expect(dep.getEndpoint()).to.be(null);
+      clock.tick(1000);
+
+      var status = dep.getStatus({ detailed: true }).endpoints[0];
+      expect(status.state).to.be('half-open-ready');
+      expect(status.outstanding).to.be(0);
+      dep.getEndpoint().callback(null);
+      expect(dep.getStatus({ detailed: true }).endpoints[0].state).to.be('closed');
+      dep.stopUpdating();
+    });
+  });
+
+  describe('classifying outcomes', function () {
+    var options = {
+      records: [{ name: 'bar.localhost', port: 8000 }],
+      ttl: 60000,
+      circuitBreaker: { maxFailures: 2, failureWindow: 10000, resetTimeout: 10000 }
+    };
+
+    it('asks isFailure whether an error or result counts against the endpoint', function () {
+      var isFailure = Sinon.spy(function (err, result) {
+        if (err && err.name === 'AbortError') {
+          return 'neutral';
+        }
+        return err ? err.status >= 500 : result.status >= 500;
+      });
+      var dep = createPool(_.extend({ isFailure: isFailure }, options));
+
+      dep.getEndpoint().callback({ status: 404 });
+      dep.getEndpoint().callback({ name: 'AbortError' });
+      dep.getEndpoint().callback(null, { result: { status: 200 } });
+      expect(dep.getStatus({ detailed: true }).endpoints[0].errors).to.be(0);
+      Sinon.assert.calledWith(isFailure, null, { status: 200 });
+
+      dep.getEndpoint().callback(null, { result: { status: 503 } });
+      var status = dep.getStatus({ detailed: true }).endpoints[0];
+      expect(status.errors).to.be(1);
+      expect(status.outstanding).to.be(0);
+      expect(status.lastError.message).to.be('Classified as a failure');
+      dep.stopUpdating();
+    });
+
+    it('lets the caller give the outcome, where neutral frees up a half-open trial', function () {
+      var dep = createPool(options);
+
+      dep.getEndpoint().callback(null, { outcome: 'failure' });
+      dep.getEndpoint().callback(true);
+      clock.tick(10000);
+
+      dep.getEndpoint().callback(true, { outcome: 'neutral' });
+      var status = dep.getStatus({ detailed: true }).endpoints[0];
+      expect(status.state).to.be('half-open-ready');
+      expect(status.errors).to.be(2);
+
+      dep.getEndpoint().callback(null);
+      expect(dep.getStatus({ detailed: true }).endpoints[0].state).to.be('closed');
+      dep.stopUpdating();
+    });
+  });
+
+  describe('concurrency limits', function () {
+    var records = [
+      { name: 'bar.localhost', port: 8000 },
+      { name: 'baz.localhost', port: 8001 },
+      { name: 'qux.localhost', port: 8002 }
+    ];
+
+    it('skips endpoints with maxConcurrentPerEndpoint requests in flight', function () {
+      var saturated = Sinon.spy();
+      var noEndpoints = Sinon.spy();
+      var dep = createPool({ records: records, ttl: 60000, maxConcurrentPerEndpoint: 2 });
+
+      dep.on('saturated', saturated);
+      dep.on('noEndpoints', noEndpoints);
+      var leases = _.times(6, function () {
+        return dep.getEndpoint();
+      });
+      expect(_.countBy(leases, 'url')).to.eql({
+        'bar.localhost:8000': 2,
+        'baz.localhost:8001': 2,
+        'qux.localhost:8002': 2
+      });
+      expect(dep.getEndpoint()).to.be(null);
+      Sinon.assert.calledOnce(saturated);
+      expect(saturated.firstCall.args[0]).to.eql({ inFlight: 6, queued: 0 });
+      Sinon.assert.notCalled(noEndpoints);
+
+      leases[0].callback(null, { outcome: 'neutral' });
+      expect(dep.getEndpoint().url).to.be(leases[0].url);
+      dep.stopUpdating();
+    });
+
+    it('does not spill over into a lower priority while the higher one is saturated', function () {
+      var saturated = Sinon.spy();
+      var dep = createPool({
+        records: [
+          { name: 'primary.localhost', port: 8000, priority: 0, weight: 1 },
+          { name: 'backup.localhost', port: 8001, priority: 10, weight: 1 }
+        ],
+        ttl: 60000,
+        maxConcurrentPerEndpoint: 1
+      });
+      var first = dep.getEndpoint();
+      var queued;
+
+      dep.on('saturated', saturated);
+      expect(first.url).to.be('primary.localhost:8000');
+      expect(dep.getEndpoint()).to.be(null);
+      Sinon.assert.calledOnce(saturated);
+
+      dep.acquire().then(function (lease) {
+        queued = lease;
+      });
+      return settle().then(function () {
+        expect(queued).to.be(undefined);
+        first.callback(null);
+        return settle();
+      }).then(function () {
+        expect(queued.url).to.be('primary.localhost:8000');
+        dep.stopUpdating();
+      });
+    });
+
+    it('caps the requests in flight across the pool', function () {
+      var dep = createPool({ records: records, ttl: 60000, maxConcurrent: 2 });
+
+      var first = dep.getEndpoint();
+      dep.getEndpoint();
+      expect(dep.getEndpoint()).to.be(null);
+      first.callback(true);
+      expect(dep.getEndpoint()).to.be.ok();
+      expect(dep.getEndpoint()).to.be(null);
+      dep.stopUpdating();
+    });
+
+    it('queues acquire() calls until an endpoint is free', function () {
+      var dep = createPool({ records: records, ttl: 60000, maxConcurrent: 1, maxQueued: 2, acquireTimeout: 5000 });
+      var results = [];
+      var first;
+
+      function track(promise) {
+        var result = {};
+        results.push(result);
+        promise.then(function (lease) {
+          result.lease = lease;
+        }, function (err) {
+          result.err = err;
+        });
+      }
+
+      return dep.acquire().then(function (lease) {
+        first = lease;
+        track(dep.acquire());
+        track(dep.acquire({ key: 'some-key', timeout: 1000 }));
+        track(dep.acquire());
+        return settle();
+      }).then(function () {
+        expect(results[0]).to.eql({});
+        expect(results[1]).to.eql({});
+        expect(results[2].err).to.be.a(DEP.SaturatedError);
+        expect(results[2].err.queued).to.be(2);
+
+        first.callback(null);
+        return settle();
+      }).then(function () {
+        expect(results[0].lease).to.be.ok();
+        expect(results[1]).to.eql({});
+
+        clock.tick(1000);
+        return settle();
+      }).then(function () {
+        expect(results[1].err).to.be.a(DEP.TimeoutError);
+
+        dep.setEndpoints([]);
+        return dep.acquire().then(function () {
+          throw new Error('should have failed');
+        }, function (err) {
+          expect(err).to.be.a(DEP.NoEndpointsError);
+          dep.stopUpdating();
+        });
+      });
+    });
+    it('fails the requests waiting in acquire() once there is no endpoint left to wait for', function () {
+      var dep = createPool({ records: records, ttl: 60000, maxConcurrent: 1, acquireTimeout: 0 });
+      var results = [];
+
+      function track(promise) {
+        promise.then(function () {
+          results.push('lease');
+        }, function (err) {
+          results.push(err);
+        });
+      }
+
+      dep.getEndpoint();
+      track(dep.acquire());
+      dep.setOverride('bar.localhost:8000', 'eject');
+      dep.setOverride('baz.localhost:8001', 'eject');
+      track(dep.acquire()); // qux is still there, just busy
+      return settle().then(function () {
+        expect(results).to.eql([]);
+
+        dep.setOverride('qux.localhost:8002', 'eject');
+        track(dep.acquire());
+        return settle();
+      }).then(function () {
+        expect(results).to.have.length(3);
+        results.forEach(function (err) {
+          expect(err).to.be.a(DEP.NoEndpointsError);
+        });
+        dep.stopUpdating();
+      });
+    });
+  });
+
+  describe('runtime control', function () {
+    var bar = 'bar.localhost:8000';
+    var baz = 'baz.localhost:8001';
+    var records = [{ name: 'bar.localhost', port: 8000 }, { name: 'baz.localhost', port: 8001 }];
+
+    it('applies a new configuration without losing the state of the endpoints', function () {
+      var dep = createPool({
+        records: records,
+        ttl: 60000,
+        circuitBreaker: { maxFailures: 2, failureWindow: 10000, resetTimeout: 10000 }
+      });
+
+      dep.getEndpoint().callback(true); // bar
+      dep.getEndpoint().callback(null); // baz
+      dep.getEndpoint().callback(true); // bar, ejected
+      dep.getEndpoint().callback(true); // baz
+
+      dep.reconfigure({ ttl: 1000, circuitBreaker: { maxFailures: 2, failureWindow: 10000, resetTimeout: 5000 } });
+      var endpoints = dep.getStatus({ detailed: true }).endpoints;
+      expect(_.pluck(endpoints, 'state')).to.eql(['open', 'closed']);
+      expect(_.pluck(endpoints, 'selections')).to.eql([2, 2]);
+      expect(endpoints[0].nextHalfOpenIn).to.be(10000);
+
+      dep.getEndpoint().callback(true); // baz, its earlier failure forgotten
+      expect(dep.getStatus().unhealthy).to.be(1);
+      dep.getEndpoint().callback(true); // baz, ejected
+      expect(dep.getStatus({ detailed: true }).endpoints[1].nextHalfOpenIn).to.be(5000);
+
+      expect(dep.source.lookups).to.be(1);
+      clock.tick(1000); // the refresh which was already scheduled, moved to the new ttl
+      expect(dep.source.lookups).to.be(2);
+      clock.tick(1000);
+      expect(dep.source.lookups).to.be(3);
+      clock.tick(500);
+      dep.reconfigure({ ttl: 2000 });
+      clock.tick(1499);
+      expect(dep.source.lookups).to.be(3);
+      clock.tick(1);
+      expect(dep.source.lookups).to.be(4);
+
+      expect(function () {
+        dep.reconfigure({ circuitBreaker: { maxFailures: 2 } });
+      }).to.throwError('Must supply either configuration to ejectOnErrorPoolManager');
+      dep.stopUpdating();
+
+      dep.reconfigure({ ttl: 1000 });
+      clock.tick(60000);
+      expect(dep.source.lookups).to.be(4); // not restarted once stopped
+
+      dep = new DEP('foo.localhost', 60000, null); // with the same stubbed lookups
+      expect(function () {
+        dep.reconfigure({ circuitBreaker: { maxFailures: 2, failureWindow: 10000, resetTimeout: 5000 } });
+      }).to.throwError('Only pools with a circuit breaker can change its configuration');
+      dep.stopUpdating();
+    });
+
+    it('lets operators force endpoints out of the pool, into it, or drain them', function () {
+      var overrideChanged = Sinon.spy();
+      var drained = Sinon.spy();
+      var dep = createPool({
+        records: records,
+        ttl: 60000,
+        circuitBreaker: { maxFailures: 1, failureWindow: 10000, resetTimeout: 10000 }
+      });
+
+      dep.on('overrideChanged', overrideChanged);
+      dep.on('endpointDrained', drained);
+      dep.setOverride(bar, 'eject');
+      expect(_.times(3, function () {
+        var next = dep.getEndpoint();
+        next.callback(null);
+        return next.url;
+      })).to.eql([baz, baz, baz]);
+      expect(dep.getOverrides()).to.eql({ 'bar.localhost:8000': 'eject' });
+      expect(overrideChanged.firstCall.args[0]).to.eql({ url: bar, override: 'eject' });
+
+      dep.getEndpoint().callback(true); // baz, ejected
+      expect(dep.getEndpoint()).to.be(null);
+      dep.setOverride(baz, 'include');
+      var lease = dep.getEndpoint();
+      expect(lease.url).to.be(baz);
+
+      dep.setOverride(baz, 'drain');
+      expect(dep.getEndpoint()).to.be(null);
+      expect(dep.getStatus({ detailed: true }).endpoints[1].override).to.be('drain');
+      Sinon.assert.notCalled(drained);
+      lease.callback(null);
+      Sinon.assert.calledOnce(drained);
+      expect(drained.firstCall.args[0].endpoint.url).to.be(baz);
+
+      dep.setOverride(bar, null);
+      expect(dep.getEndpoint().url).to.be(bar);
+      expect(dep.getOverrides()).to.eql({ 'baz.localhost:8001': 'drain' });
+      expect(overrideChanged.callCount).to.be(4);
+      expect(function () {
+        dep.setOverride(bar, 'off');
+      }).to.throwError('Unknown override: off');
+      dep.stopUpdating();
+    });
+
+    it('leaves a new ttl to an update which is in flight', function () {
+      var lookup;
+      var dep = new DEP('foo.localhost', 60000, null, {
+        source: {
+          resolve: function (callback) {
+            lookup = callback;
+          }
+        }
+      });
+
+      dep.reconfigure({ ttl: 1000 }); // the first lookup has not been answered yet
+      lookup(null, records);
+      expect(_.size(clock.timers)).to.be(1);
+      clock.tick(999);
+      lookup = null;
+      clock.tick(1);
+      expect(lookup).to.be.a('function');
+      dep.stopUpdating();
+    });
+
+    it('cancels every timer and pending request when destroyed', function () {
+      var lookup;
+      var dep = new DEP('foo.localhost', 60000, { maxFailures: 1, failureWindow: 10000, resetTimeout: 10000 }, {
+        source: {
+          resolve: function (callback) {
+            lookup = callback;
+          }
+        },
+        leaseTimeout: 5000,
+        maxConcurrent: 2
+      });
+
+      dep.setEndpoints([{ name: 'bar.localhost', port: 8000 }, { name: 'baz.localhost', port: 8001 }]);
+      dep.getEndpoint().callback(true); // bar, ejected
+      var lease = dep.getEndpoint(); // baz
+      dep.getEndpoint(); // baz
+      var waiting = dep.acquire({ timeout: 0 });
+      expect(_.size(clock.timers)).to.be(4);
+
+      dep.destroy();
+      expect(_.size(clock.timers)).to.be(0);
+      lookup(null, [{ name: 'qux.localhost', port: 8002 }]);
+      expect(dep.getStatus().total).to.be(2);
+      expect(_.size(clock.timers)).to.be(0);
+
+      lease.callback(true); // baz, ejected without waiting to be let back in
+      expect(dep.getStatus().unhealthy).to.be(2);
+      expect(_.size(clock.timers)).to.be(0);
+
+      return waiting.then(function () {
+        throw new Error('should have failed');
+      }, function (err) {
+        expect(err.message).to.be('The pool for foo.localhost has been destroyed');
+      });
+    });
+
+    it('can keep its timers from holding the process open', function () {
+      clock.restore();
+      var dep = createPool({ records: records, ttl: 60000, unref: true });
+
+      expect(dep._updateTimeout.hasRef()).to.be(false);
+      dep.destroy();
+    });
+  });
+
+  describe('ejection limits', function () {
+    var records = [
+      { name: 'bar.localhost', port: 8000 },
+      { name: 'baz.localhost', port: 8001 },
+      { name: 'quux.localhost', port: 8002 },
+      { name: 'corge.localhost', port: 8003 }
+    ];
+    var ejectOnErrorConfig = { maxFailures: 1, failureWindow: 10000, resetTimeout: 10000 };
+
+    it('never ejects more than maxEjectionPercent of the pool', function () {
+      var dep = createPool({ records: records, circuitBreaker: _.extend({ maxEjectionPercent: 50 }, ejectOnErrorConfig) });
+
+      dep.getEndpoint().callback(true);
+      dep.getEndpoint().callback(true);
+      expect(dep.getStatus().unhealthy).to.be(2);
+
+      dep.getEndpoint().callback(true);
+      dep.getEndpoint().callback(true);
+      expect(dep.getStatus().unhealthy).to.be(2);
+
+      clock.tick(10000); // recovering endpoints still count
+      var bar = dep.getEndpoint();
+      expect(bar.url).to.be('bar.localhost:8000');
+      dep.getEndpoint().callback(true); // baz
+      dep.getEndpoint().callback(true); // quux
+      expect(dep.getStatus().unhealthy).to.be(2);
+
+      bar.callback(true); // but can fail their trial
+      expect(dep.getStatus({ detailed: true }).endpoints[0].state).to.be('open');
+      dep.stopUpdating();
+    });
+
+    it('spreads traffic over all endpoints in panic mode', function () {
+      var entered = Sinon.spy();
+      var exited = Sinon.spy();
+      var dep = createPool({ records: records, circuitBreaker: _.extend({ panicThreshold: 50 }, ejectOnErrorConfig) });
+      var urls;
+
+      dep.on('panicModeEntered', entered);
+      dep.on('panicModeExited', exited);
+
+      dep.getEndpoint().callback(true);
+      dep.getEndpoint().callback(true);
+      expect(dep.getEndpoint().url).to.be('quux.localhost:8002');
+      Sinon.assert.notCalled(entered);
+
+      dep.getEndpoint().callback(true); // corge: only one of four left
+      expect(dep.getStatus().panicking).to.be(true);
+      Sinon.assert.calledOnce(entered);
+      expect(entered.lastCall.args[0]).to.eql({ healthy: 1, total: 4 });
+      urls = _.times(4, function () {
+        return dep.getEndpoint().url;
+      });
+      expect(urls).to.eql(['bar.localhost:8000', 'baz.localhost:8001', 'quux.localhost:8002', 'corge.localhost:8003']);
+
+      // membership changes and circuits going half open count straight away, without waiting for the next request
+      dep.setEndpoints([{ name: 'quux.localhost', port: 8002 }, { name: 'corge.localhost', port: 8003 }]);
+      Sinon.assert.calledOnce(exited);
+      expect(dep.getStatus().panicking).to.be(false);
+
+      dep.setEndpoints([{ name: 'corge.localhost', port: 8003 }]);
+      Sinon.assert.calledTwice(entered);
+      expect(entered.lastCall.args[0]).to.eql({ healthy: 0, total: 1 });
+
+      clock.tick(10000);
+      Sinon.assert.calledTwice(exited);
+      expect(dep.getStatus().panicking).to.be(false);
+      dep.stopUpdating();
+    });
+  });
+
+  describe('reset timeout backoff', function () {
+    [
+      { maxFailures: 1, failureWindow: 1000 },
+      { failureRate: 1, failureRateWindow: 1 }
+    ].forEach(function (errorConfig) {
+      it('backs off re-admitting endpoints which keep failing, with ' + _.keys(errorConfig).join(' and '), function () {
+        var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+        var halfOpen = Sinon.spy();
+
+        resolve.callsArgWith(0, null, [{ name: 'bar.localhost', port: 8000 }]);
+        var dep = new DEP('foo.localhost', 600000, _.extend({
+          resetTimeout: 1000,
+          resetTimeoutMultiplier: 2,
+          maxResetTimeout: 3000,
+          ejectionCountResetPeriod: 5000
+        }, errorConfig));
+        dep.on('endpointHalfOpen', halfOpen);
+
+        function failAndWait(resetTimeout) {
+          dep.getEndpoint().callback(true);
+          clock.tick(resetTimeout - 1);
+          expect(dep.getEndpoint()).to.be(null);
+          clock.tick(1);
+        }
+
+        failAndWait(1000);
+        failAndWait(2000);
+        failAndWait(3000);
+        failAndWait(3000);
+        expect(dep.getStatus({ detailed: true }).endpoints[0].ejections).to.be(4);
+        Sinon.assert.callCount(halfOpen, 4);
+
+        dep.getEndpoint().callback(null); // closed again
+        clock.tick(4999);
+        failAndWait(3000); // not closed for long enough
+
+        dep.getEndpoint().callback(null);
+        clock.tick(5000);
+        failAndWait(1000);
+        expect(dep.getStatus({ detailed: true }).endpoints[0].ejections).to.be(1);
+        dep.stopUpdating();
+      });
+    });
+  });
+
+  describe('slow start', function () {
+    function countSelections(dep, n) {
+      return _.countBy(_.times(n, function () {
+        return dep.getEndpoint().url;
+      }));
+    }
+
+    it('ramps up the weight of new endpoints', function () {
+      autoRestore(Sinon.stub(DEP.prototype, 'update'));
+      var dep = new DEP('foo.localhost', 5000, null, { slowStart: { window: 10000 } });
+
+      dep.setEndpoints([{ name: 'bar.localhost', port: 8000 }]);
+      clock.tick(10000);
+      dep.setEndpoints([{ name: 'bar.localhost', port: 8000 }, { name: 'baz.localhost', port: 8001 }]);
+
+      expect(countSelections(dep, 11)).to.eql({ 'bar.localhost:8000': 10, 'baz.localhost:8001': 1 });
+      expect(_.pluck(dep.getStatus({ detailed: true }).endpoints, 'slowStartEndsIn')).to.eql([null, 10000]);
+
+      clock.tick(5000); // half way: 0.1 + 0.9 * 0.5
+      expect(dep.getStatus({ detailed: true }).endpoints[1].effectiveWeight).to.be(0.55);
+
+      clock.tick(5000);
+      expect(countSelections(dep, 10)).to.eql({ 'bar.localhost:8000': 5, 'baz.localhost:8001': 5 });
+    });
+
+    it('ramps up endpoints which have recovered, along a curve', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+
+      resolve.callsArgWith(0, null, [{ name: 'bar.localhost', port: 8000 }, { name: 'baz.localhost', port: 8001 }]);
+      var dep = new DEP('foo.localhost', 60000, { maxFailures: 1, failureWindow: 1000, resetTimeout: 10000 }, {
+        slowStart: {
+          window: 10000,
+          minWeight: 0.2,
+          curve: function (progress) {
+            return progress * progress;
+          }
+        }
+      });
+
+      clock.tick(10000);
+      dep.getEndpoint().callback(true);
+      clock.tick(10000);
+      dep.getEndpoint(); // baz
+      dep.getEndpoint().callback(null); // bar recovers
+
+      clock.tick(5000);
+      expect(dep.getStatus({ detailed: true }).endpoints[0].effectiveWeight).to.be(0.4); // 0.2 + 0.8 * 0.25
+      dep.stopUpdating();
+    });
+
+    it('rejects settings which would leave the weights meaningless', function () {
+      autoRestore(Sinon.stub(DEP.prototype, 'update'));
+      [
+        [true, 'Slow start window must be a number above 0'],
+        [{ minWeight: 0.5 }, 'Slow start window must be a number above 0'],
+        [{ window: '10s' }, 'Slow start window must be a number above 0'],
+        [{ window: 10000, minWeight: 0 }, 'Slow start minWeight must be a number above 0 and at most 1'],
+        [{ window: 10000, minWeight: 1.5 }, 'Slow start minWeight must be a number above 0 and at most 1'],
+        [{ window: 10000, curve: 'linear' }, 'Slow start curve must be a function']
+      ].forEach(function (example) {
+        expect(function () {
+          return new DEP('foo.localhost', 5000, null, { slowStart: example[0] });
+        }).to.throwError(example[1]);
+      });
+    });
+  });
+
+  describe('latency', function () {
+    function latencyOf(dep, url) {
+      return _.findWhere(dep.getStatus({ detailed: true }).endpoints, { url: url }).latency;
+    }
+
+    it('measures the time from handing out an endpoint to its callback', function () {
+      var dep = createPool();
+
+      var bar = dep.getEndpoint();
+      clock.tick(100);
+      bar.callback(null);
+      expect(latencyOf(dep, 'bar.localhost:8000')).to.be(100);
+
+      dep.getEndpoint();
+      dep.getEndpoint();
+      bar = dep.getEndpoint();
+      clock.tick(200);
+      bar.callback(null);
+      expect(latencyOf(dep, 'bar.localhost:8000')).to.be(130); // 0.3 * 200 + 0.7 * 100
+      dep.stopUpdating();
+    });
+
+    it('accepts durations reported by the caller', function () {
+      var dep = createPool({ latencySmoothing: 0.5 });
+
+      dep.getEndpoint().callback(null, { duration: 100 }); // bar
+      dep.getEndpoint(); // baz
+      dep.getEndpoint(); // quux
+      dep.getEndpoint().callback(true, { duration: 300 }); // bar
+      expect(latencyOf(dep, 'bar.localhost:8000')).to.be(200);
+      dep.stopUpdating();
+    });
+
+    it('can prefer endpoints with the lowest peak latency', function () {
+      var dep = createPool({ strategy: 'peak-ewma' });
+
+      var bar = dep.getEndpoint();
+      var baz = dep.getEndpoint();
+      var quux = dep.getEndpoint();
+      bar.callback(null, { duration: 100 });
+      baz.callback(null, { duration: 10 });
+      quux.callback(null, { duration: 50 });
+
+      expect(dep.getEndpoint().url).to.be(baz.url);
+      expect(dep.getEndpoint().url).to.be(baz.url); // 10 * 2 < 50
+      baz = dep.getEndpoint();
+      expect(baz.url).to.be('baz.localhost:8001'); // 10 * 3 < 50
+
+      baz.callback(null, { duration: 1000 }); // the peak jumps straight up
+      expect(dep.getEndpoint().url).to.be(quux.url);
+      dep.stopUpdating();
+    });
+
+    it('can eject endpoints whose latency is over a limit', function () {
+      var ejected = Sinon.spy();
+      var dep = createPool({
+        circuitBreaker: {
+          maxFailures: 5,
+          failureWindow: 10000,
+          resetTimeout: 10000,
+          maxLatency: 500,
+          minLatencySamples: 2
+        }
+      });
+
+      dep.on('endpointEjected', ejected);
+      dep.getEndpoint().callback(null, { duration: 1000 });
+      expect(dep.getStatus().unhealthy).to.be(0); // not enough samples yet
+
+      dep.getEndpoint(); // baz
+      dep.getEndpoint(); // quux
+      dep.getEndpoint().callback(null, { duration: 1000 }); // bar
+
+      expect(dep.getStatus().unhealthy).to.be(1);
+      expect(ejected.lastCall.args[0].reason).to.eql({ cause: 'latency', latency: 1000, limit: 500 });
+
+      clock.tick(10000);
+      dep.getEndpoint(); // baz
+      dep.getEndpoint(); // quux
+      var bar = dep.getEndpoint();
+      expect(bar.url).to.be('bar.localhost:8000');
+      bar.callback(null, { duration: 1000 });
+      expect(dep.getStatus().unhealthy).to.be(0); // given a fresh start once restored
+      dep.stopUpdating();
+    });
+
+    it('can eject endpoints which are much slower than the median', function () {
+      var dep = createPool({
+        circuitBreaker: {
+          failureRate: 0.5,
+          failureRateWindow: 10,
+          resetTimeout: 10000,
+          latencyMultiplier: 3,
+          minLatencySamples: 1
+        }
+      });
+
+      dep.getEndpoint().callback(null, { duration: 100 });
+      dep.getEndpoint().callback(null, { duration: 120 });
+      dep.getEndpoint().callback(null, { duration: 300 });
+      expect(dep.getStatus().unhealthy).to.be(0);
+
+      dep.getEndpoint().callback(null, { duration: 1200 }); // bar: 0.3 * 1200 + 0.7 * 100 = 430 > 3 * 300
+      expect(dep.getStatus().unhealthy).to.be(0);
+      dep.getEndpoint().callback(null, { duration: 100 });
+      dep.getEndpoint().callback(null, { duration: 100 });
+      dep.getEndpoint().callback(null, { duration: 5000 }); // bar again
+      expect(_.findWhere(dep.getStatus({ detailed: true }).endpoints, { url: 'bar.localhost:8000' }).state).to.be('open');
+      dep.stopUpdating();
+    });
+  });
+
+  describe('detailed status', function () {
+    it('describes each endpoint', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+
+      resolve.callsArgWith(0, null, [
+        { name: 'bar.localhost', port: 8000, priority: 10, weight: 5 },
+        { name: 'baz.localhost', port: 8001, priority: 10, weight: 5 }
+      ]);
+      var dep = new DEP('foo.localhost', 5000, { maxFailures: 2, failureWindow: 10000, resetTimeout: 10000 });
+
+      dep.getEndpoint().callback(new Error('first')); // bar
+      dep.getEndpoint(); // baz
+      clock.tick(1000);
+      dep.getEndpoint().callback(new Error('second')); // bar
+      clock.tick(4000);
+
+      var status = dep.getStatus({ detailed: true });
+      expect(JSON.parse(JSON.stringify(status))).to.eql(status);
+      expect(status.endpoints).to.eql([{
+        url: 'bar.localhost:8000',
+        priority: 10,
+        weight: 5,
+        state: 'open',
+        nextHalfOpenIn: 6000,
+        ejections: 1,
+        errors: 2,
+        outstanding: 0,
+        selections: 2,
+        latency: 0,
+        effectiveWeight: 5,
+        slowStartEndsIn: null,
+        lastError: { message: 'second', time: 1000 },
+        override: null
+      }, {
+        url: 'baz.localhost:8001',
+        priority: 10,
+        weight: 5,
+        state: 'closed',
+        nextHalfOpenIn: null,
+        ejections: 0,
+        errors: 0,
+        outstanding: 1,
+        selections: 1,
+        latency: null,
+        effectiveWeight: 5,
+        slowStartEndsIn: null,
+        lastError: null,
+        override: null
+      }]);
+
+      clock.tick(6000);
+      expect(dep.getStatus({ detailed: true }).endpoints[0].state).to.be('half-open-ready');
+      dep.getEndpoint(); // baz
+      dep.getEndpoint(); // bar
+      expect(dep.getStatus({ detailed: true }).endpoints[0].state).to.be('half-open-pending');
+      dep.stopUpdating();
+    });
+
+    it('gives the error rate with the rate configuration', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+
+      resolve.callsArgWith(0, null, [{ name: 'bar.localhost', port: 8000 }]);
+      var dep = new DEP('foo.localhost', 5000, { failureRate: 0.5, failureRateWindow: 4, resetTimeout: 10000 });
+
+      dep.getEndpoint().callback(true);
+      var endpointStatus = dep.getStatus({ detailed: true }).endpoints[0];
+      expect(endpointStatus.errors).to.be(1);
+      expect(endpointStatus.errorRate).to.be(0.25);
+      expect(endpointStatus.lastError.message).to.be('true');
+      dep.stopUpdating();
+    });
+
+    it('describes endpoints without a circuit breaker', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+
+      resolve.callsArgWith(0, null, [{ name: 'bar.localhost', port: 8000 }]);
+      var dep = new DEP('foo.localhost', 5000);
+
+      expect(dep.getStatus()).to.not.have.key('endpoints');
+      expect(dep.getStatus({ detailed: true }).endpoints[0].state).to.be('closed');
+      dep.stopUpdating();
+    });
+  });
+
+  describe('metrics', function () {
+    var options = {
+      records: [{ name: 'bar.localhost', port: 8000 }, { name: 'baz.localhost', port: 8001 }],
+      circuitBreaker: { maxFailures: 1, failureWindow: 10000, resetTimeout: 10000 }
+    };
+
+    it('counts traffic, circuit changes and updates', function () {
+      var dep = createPool(options);
+
+      dep.source.fail(new Error('SERVFAIL'));
+
+      dep.getEndpoint().callback(true); // bar
+      dep.getEndpoint().callback(null); // baz
+      dep.getEndpoint().callback(true); // baz
+      expect(dep.getEndpoint()).to.be(null);
+      clock.tick(5000);
+
+      expect(dep.getMetrics()).to.eql({
+        discoveryName: 'foo.localhost',
+        selections: { 'bar.localhost:8000': 1, 'baz.localhost:8001': 2 },
+        failures: { 'bar.localhost:8000': 1, 'baz.localhost:8001': 1 },
+        ejections: 2,
+        restorations: 0,
+        noEndpoints: 1,
+        updates: { success: 1, failure: 1, rejected: 0 },
+        updateDuration: { sum: 0, count: 2, last: 0 },
+        total: 2,
+        healthy: 0,
+        age: 5000
+      });
+      dep.stopUpdating();
+    });
+
+    it('formats metrics for Prometheus', function () {
+      var dep = createPool(options);
+
+      dep.getEndpoint().callback(true);
+      expect(dep.getPrometheusMetrics().split('\n')).to.eql([
+        '# HELP dns_endpoint_pool_selections_total Times an endpoint was handed out.',
+        '# TYPE dns_endpoint_pool_selections_total counter',
+        'dns_endpoint_pool_selections_total{discovery_name="foo.localhost",endpoint="bar.localhost:8000"} 1',
+        'dns_endpoint_pool_selections_total{discovery_name="foo.localhost",endpoint="baz.localhost:8001"} 0',
+        '# HELP dns_endpoint_pool_failures_total Requests to an endpoint which failed.',
+        '# TYPE dns_endpoint_pool_failures_total counter',
+        'dns_endpoint_pool_failures_total{discovery_name="foo.localhost",endpoint="bar.localhost:8000"} 1',
+        'dns_endpoint_pool_failures_total{discovery_name="foo.localhost",endpoint="baz.localhost:8001"} 0',
+        '# HELP dns_endpoint_pool_ejections_total Endpoints ejected from the pool.',
+        '# TYPE dns_endpoint_pool_ejections_total counter',
+        'dns_endpoint_pool_ejections_total{discovery_name="foo.localhost"} 1',
+        '# HELP dns_endpoint_pool_restorations_total Endpoints restored to the pool.',
+        '# TYPE dns_endpoint_pool_restorations_total counter',
+        'dns_endpoint_pool_restorations_total{discovery_name="foo.localhost"} 0',
+        '# HELP dns_endpoint_pool_no_endpoints_total Times there was no endpoint to hand out.',
+        '# TYPE dns_endpoint_pool_no_endpoints_total counter',
+        'dns_endpoint_pool_no_endpoints_total{discovery_name="foo.localhost"} 0',
+        '# HELP dns_endpoint_pool_updates_total Service discovery lookups, by result.',
+        '# TYPE dns_endpoint_pool_updates_total counter',
+        'dns_endpoint_pool_updates_total{discovery_name="foo.localhost",result="success"} 1',
+        'dns_endpoint_pool_updates_total{discovery_name="foo.localhost",result="failure"} 0',
+        'dns_endpoint_pool_updates_total{discovery_name="foo.localhost",result="rejected"} 0',
+        '# HELP dns_endpoint_pool_update_duration_seconds How long service discovery lookups took.',
+        '# TYPE dns_endpoint_pool_update_duration_seconds summary',
+        'dns_endpoint_pool_update_duration_seconds_sum{discovery_name="foo.localhost"} 0',
+        'dns_endpoint_pool_update_duration_seconds_count{discovery_name="foo.localhost"} 1',
+        '# HELP dns_endpoint_pool_endpoints Endpoints known to the pool.',
+        '# TYPE dns_endpoint_pool_endpoints gauge',
+        'dns_endpoint_pool_endpoints{discovery_name="foo.localhost"} 2',
+        '# HELP dns_endpoint_pool_healthy_endpoints Endpoints in the pool.',
+        '# TYPE dns_endpoint_pool_healthy_endpoints gauge',
+        'dns_endpoint_pool_healthy_endpoints{discovery_name="foo.localhost"} 1',
+        '# HELP dns_endpoint_pool_age_seconds Time since the endpoints were last updated.',
+        '# TYPE dns_endpoint_pool_age_seconds gauge',
+        'dns_endpoint_pool_age_seconds{discovery_name="foo.localhost"} 0',
+        ''
+      ]);
+      dep.stopUpdating();
+    });
+
+    it('combines the metrics of several pools, escaping label values', function () {
+      var pools = [createPool(options), createPool(_.extend({ discoveryName: 'bar "quoted"' }, options))];
+      var text = DEP.metrics.toPrometheus(pools);
+
+      expect(text.match(/# TYPE dns_endpoint_pool_endpoints /g)).to.have.length(1);
+      expect(text).to.contain('dns_endpoint_pool_endpoints{discovery_name="foo.localhost"} 2\n');
+      expect(text).to.contain('dns_endpoint_pool_endpoints{discovery_name="bar \\"quoted\\""} 2\n');
+      _.invoke(pools, 'stopUpdating');
+    });
+  });
+
+  describe('execute()', function () {
+    var ejectOnErrorConfig = { maxFailures: 1, failureWindow: 10000, resetTimeout: 10000 };
+    var dep;
+
+    function failOn(urls) {
+      return Sinon.spy(function (endpoint) {
+        if (_.contains(urls, endpoint.url)) {
+          throw new Error('failed on ' + endpoint.url);
+        }
+        return endpoint.url;
+      });
+    }
+
+    afterEach(function () {
+      dep.stopUpdating();
+    });
+
+    it('retries on a different endpoint, reporting each attempt', function () {
+      var fn = failOn(['bar.localhost:8000']);
+
+      dep = createPool({ circuitBreaker: ejectOnErrorConfig });
+      return dep.execute(fn).then(function (result) {
+        expect(result).to.be('baz.localhost:8001');
+        expect(fn.args).to.eql([[fn.args[0][0], 1], [fn.args[1][0], 2]]);
+        expect(dep.getStatus().unhealthy).to.be(1);
+        expect(dep.getEndpoint().url).to.be('quux.localhost:8002');
+      });
+    });
+
+    it('never retries on an endpoint which has already been tried', function () {
+      var fn = failOn(['bar.localhost:8000', 'baz.localhost:8001', 'quux.localhost:8002']);
+
+      dep = createPool({ circuitBreaker: ejectOnErrorConfig });
+      return dep.execute(fn, { retries: 5 }).then(function () {
+        throw new Error('should have rejected');
+      }, function (err) {
+        expect(err.message).to.be('failed on quux.localhost:8002');
+        Sinon.assert.calledThrice(fn);
+      });
+    });
+
+    it('stops after the number of retries', function () {
+      var fn = failOn(['bar.localhost:8000', 'baz.localhost:8001']);
+
+      dep = createPool({ circuitBreaker: ejectOnErrorConfig });
+      return dep.execute(fn, { retries: 1 }).then(function () {
+        throw new Error('should have rejected');
+      }, function (err) {
+        expect(err.message).to.be('failed on baz.localhost:8001');
+      });
+    });
+
+    it('only retries errors accepted by shouldRetry', function () {
+      var fn = failOn(['bar.localhost:8000']);
+
+      dep = createPool({ circuitBreaker: ejectOnErrorConfig });
+      return dep.execute(fn, { shouldRetry: _.constant(false) }).then(function () {
+        throw new Error('should have rejected');
+      }, function () {
+        Sinon.assert.calledOnce(fn);
+      });
+    });
+
+    it('fails attempts which time out', function () {
+      var fn = Sinon.spy(function (endpoint) {
+        return endpoint.url === 'bar.localhost:8000' ? new Promise(_.noop) : endpoint.url;
+      });
+
+      dep = createPool({ circuitBreaker: ejectOnErrorConfig });
+      var result = dep.execute(fn, { timeout: 100 });
+
+      return settle().then(function () {
+        Sinon.assert.calledOnce(fn);
+        clock.tick(100);
+        return result;
+      }).then(function (url) {
+        expect(url).to.be('baz.localhost:8001');
+        expect(dep.getStatus().unhealthy).to.be(1);
+      });
+    });
+
+    it('rejects with a TimeoutError', function () {
+      dep = createPool({ circuitBreaker: ejectOnErrorConfig });
+      var result = dep.execute(_.constant(new Promise(_.noop)), { timeout: 100, retries: 0 });
+
+      clock.tick(100);
+      return result.then(function () {
+        throw new Error('should have rejected');
+      }, function (err) {
+        expect(err).to.be.a(DEP.TimeoutError);
+        expect(err.message).to.be('Timed out after 100ms');
+      });
+    });
+
+    it('backs off between attempts', function () {
+      var fn = failOn(['bar.localhost:8000', 'baz.localhost:8001']);
+
+      dep = createPool({ circuitBreaker: ejectOnErrorConfig });
+      var result = dep.execute(fn, { backoff: { initialDelay: 100, jitter: 0 } });
+
+      return settle().then(function () {
+        Sinon.assert.calledOnce(fn);
+        clock.tick(100);
+        return settle();
+      }).then(function () {
+        Sinon.assert.calledTwice(fn);
+        clock.tick(199);
+        return settle();
+      }).then(function () {
+        Sinon.assert.calledTwice(fn);
+        clock.tick(1);
+        return result;
+      }).then(function (url) {
+        expect(url).to.be('quux.localhost:8002');
+      });
+    });
+
+    it('uses the backoff defaults for settings which are left out', function () {
+      var fn = failOn(['bar.localhost:8000']);
+
+      dep = createPool({ circuitBreaker: ejectOnErrorConfig });
+      var result = dep.execute(fn, { backoff: { jitter: 0 } });
+
+      return settle().then(function () {
+        clock.tick(999);
+        return settle();
+      }).then(function () {
+        Sinon.assert.calledOnce(fn);
+        clock.tick(1);
+        return result;
+      }).then(function (url) {
+        expect(url).to.be('baz.localhost:8001');
+      });
+    });
+
+    it('limits retries to the retry budget', function () {
+      var exhausted = Sinon.spy();
+
+      dep = createPool({ circuitBreaker: ejectOnErrorConfig, retryBudget: { ratio: 0.5, minRetries: 0 } });
+      dep.on('retryBudgetExhausted', exhausted);
+
+      return dep.execute(failOn(['bar.localhost:8000'])).then(function () {
+        throw new Error('should have rejected');
+      }, function () {
+        // one request has earned half a retry, which is not enough
+        Sinon.assert.calledOnce(exhausted);
+        return dep.execute(failOn(['baz.localhost:8001']));
+      }).then(function (url) {
+        // two requests have earned one retry
+        expect(url).to.be('quux.localhost:8002');
+        Sinon.assert.calledOnce(exhausted);
+      });
+    });
+
+    it('stops retrying once the pool is destroyed', function () {
+      var fn = failOn(['bar.localhost:8000']);
+
+      dep = createPool({ circuitBreaker: ejectOnErrorConfig });
+      var result = dep.execute(fn, { backoff: { initialDelay: 100, jitter: 0 } });
+
+      return settle().then(function () {
+        Sinon.assert.calledOnce(fn);
+        expect(_.size(clock.timers)).to.be(3); // the refresh, the ejection and the backoff
+        dep.destroy();
+        expect(_.size(clock.timers)).to.be(0);
+        clock.tick(100);
+        return result;
+      }).then(function () {
+        throw new Error('should have rejected');
+      }, function (err) {
+        expect(err.message).to.be('The pool for foo.localhost has been destroyed');
+        Sinon.assert.calledOnce(fn);
+      });
+    });
+
+    it('clears the timeout of an attempt once the pool is destroyed, and lets the attempt settle', function () {
+      var finish;
+      var fn = Sinon.spy(function () {
+        return new Promise(function (resolve, reject) {
+          finish = reject;
+        });
+      });
+
+      dep = createPool({ circuitBreaker: ejectOnErrorConfig });
+      var result = dep.execute(fn, { timeout: 100 });
+
+      return settle().then(function () {
+        dep.destroy();
+        expect(_.size(clock.timers)).to.be(0);
+        finish(new Error('failed'));
+        return result;
+      }).then(function () {
+        throw new Error('should have rejected');
+      }, function (err) {
+        expect(err.message).to.be('failed');
+        Sinon.assert.calledOnce(fn);
+      });
+    });
+
+    it('rejects calls to execute() and acquire() once the pool is destroyed, without setting timers', function () {
+      var fn = Sinon.spy();
+
+      dep = createPool();
+      dep.destroy();
+
+      return Promise.all([
+        dep.execute(fn, { timeout: 100 }).then(function () {
+          throw new Error('should have rejected');
+        }, function (err) {
+          expect(err.message).to.be('The pool for foo.localhost has been destroyed');
+        }),
+        dep.acquire({ timeout: 100 }).then(function () {
+          throw new Error('should have rejected');
+        }, function (err) {
+          expect(err.message).to.be('The pool for foo.localhost has been destroyed');
+        })
+      ]).then(function () {
+        Sinon.assert.notCalled(fn);
+        expect(_.size(clock.timers)).to.be(0);
+      });
+    });
+  });
+
+  describe('active health checks', function () {
+    var ejectOnErrorConfig = { maxFailures: 1, failureWindow: 10000, resetTimeout: 60000 };
+
+    it('needs a circuit breaker', function () {
+      autoRestore(Sinon.stub(DEP.prototype, 'update'));
+      expect(function () {
+        return new DEP('foo.localhost', 5000, null, { healthCheck: { check: _.noop, interval: 1000 } });
+      }).to.throwError('Health checks need a circuit breaker configuration');
+    });
+
+    it('checks new endpoints straight away and ejects them if they fail', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+      var ejected = Sinon.spy();
+      var check = Sinon.spy(function (endpoint) {
+        return endpoint.url !== 'baz.localhost:8001';
+      });
+
+      resolve.callsArgWith(0, null, [
+        { name: 'bar.localhost', port: 8000 },
+        { name: 'baz.localhost', port: 8001 }
+      ]);
+      var dep = new DEP('foo.localhost', 5000, ejectOnErrorConfig, { healthCheck: { check: check, interval: 1000 } });
+      dep.on('endpointEjected', ejected);
+
+      return settle().then(function () {
+        Sinon.assert.calledTwice(check);
+        expect(dep.getStatus().unhealthy).to.be(1);
+        expect(ejected.lastCall.args[0].endpoint.url).to.be('baz.localhost:8001');
+        expect(ejected.lastCall.args[0].reason.cause).to.be('healthCheck');
+        expect(ejected.lastCall.args[0].reason.error.message).to.be('Health check of baz.localhost:8001 failed');
+
+        clock.tick(1000); // only checks the ejected endpoint from now on
+        return settle();
+      }).then(function () {
+        clock.tick(1000);
+        return settle();
+      }).then(function () {
+        expect(_.pluck(check.args.slice(2), 0).map(_.property('url'))).to.eql([
+          'baz.localhost:8001',
+          'baz.localhost:8001'
+        ]);
+        dep.stopUpdating();
+      });
+    });
+
+    it('ignores checks which finish after the pool is destroyed', function () {
+      var failCheck;
+      var ejected = Sinon.spy();
+      var dep = createPool({
+        records: [{ name: 'bar.localhost', port: 8000 }],
+        circuitBreaker: ejectOnErrorConfig,
+        healthCheck: {
+          check: function () {
+            return new Promise(function (resolve, reject) {
+              failCheck = reject;
+            });
+          },
+          interval: 1000
+        }
+      });
+
+      dep.on('endpointEjected', ejected);
+      return settle().then(function () {
+        dep.destroy();
+        failCheck(new Error('unhealthy'));
+        return settle();
+      }).then(function () {
+        Sinon.assert.notCalled(ejected);
+        expect(_.size(clock.timers)).to.be(0);
+      });
+    });
+
+    it('restores ejected endpoints when a check passes', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+      var healthy = true;
+      var check = Sinon.spy(function () {
+        return healthy ? Promise.resolve() : Promise.reject(new Error('unhealthy'));
+      });
+
+      resolve.callsArgWith(0, null, [
+        { name: 'bar.localhost', port: 8000 },
+        { name: 'baz.localhost', port: 8001 }
+      ]);
+      var dep = new DEP('foo.localhost', 5000, ejectOnErrorConfig, { healthCheck: { check: check, interval: 1000 } });
+      var restored = Sinon.spy();
+      var ejected = Sinon.spy();
+
+      dep.on('endpointRestored', restored);
+      dep.on('endpointEjected', ejected);
+
+      return settle().then(function () {
+        expect(dep.getStatus().unhealthy).to.be(0);
+        healthy = false;
+        dep.getEndpoint().callback(true);
+        expect(dep.getStatus().unhealthy).to.be(1);
+
+        clock.tick(1000);
+        return settle();
+      }).then(function () {
+        expect(check.lastCall.args[0].url).to.be('bar.localhost:8000');
+        expect(dep.getStatus().unhealthy).to.be(1);
+
+        healthy = true;
+        clock.tick(1000);
+        return settle();
+      }).then(function () {
+        expect(restored.lastCall.args[0].reason).to.eql({ cause: 'healthCheck' });
+        Sinon.assert.calledOnce(ejected); // it was already out when the check failed
+        expect(dep.getStatus().unhealthy).to.be(0);
+        expect(dep.getEndpoint().url).to.be('baz.localhost:8001');
+        expect(dep.getEndpoint().url).to.be('bar.localhost:8000');
+        dep.stopUpdating();
+      });
+    });
+
+    it('keeps ejected endpoints out for as long as their checks fail', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+      var check = Sinon.spy(function (endpoint) {
+        return endpoint.url !== 'baz.localhost:8001';
+      });
+
+      resolve.callsArgWith(0, null, [
+        { name: 'bar.localhost', port: 8000 },
+        { name: 'baz.localhost', port: 8001 }
+      ]);
+      var dep = new DEP('foo.localhost', 60000, { maxFailures: 1, failureWindow: 10000, resetTimeout: 2500 }, {
+        healthCheck: { check: check, interval: 1000 }
+      });
+      var halfOpen = Sinon.spy();
+      dep.on('endpointHalfOpen', halfOpen);
+
+      function tick() {
+        clock.tick(1000);
+        return settle();
+      }
+
+      return settle().then(tick).then(tick).then(tick).then(function () {
+        expect(check.callCount).to.be(5);
+        Sinon.assert.notCalled(halfOpen);
+        expect(dep.getStatus({ detailed: true }).endpoints[1]).to.have.property('state', 'open');
+        expect(dep.getStatus({ detailed: true }).endpoints[1]).to.have.property('nextHalfOpenIn', 2500);
+
+        dep.stopUpdating(); // without checks, the reset timeout runs out as usual
+        clock.tick(2500);
+        Sinon.assert.calledOnce(halfOpen);
+      });
+    });
+
+    describe('built-in checks', function () {
+      var http = require('http');
+      var net = require('net');
+      var server;
+
+      function listen(s) {
+        server = s;
+        return new Promise(function (resolve) {
+          server.listen(0, '127.0.0.1', function () {
+            resolve({ name: '127.0.0.1', port: server.address().port, url: '127.0.0.1:' + server.address().port });
+          });
+        });
+      }
+
+      function expectFailure(promise) {
+        return promise.then(function () {
+          throw new Error('should have failed');
+        }, _.noop);
+      }
+
+      beforeEach(function () {
+        clock.restore();
+      });
+
+      afterEach(function (done) {
+        if (server.listening) {
+          server.close(function () {
+            done();
+          });
+        } else {
+          done();
+        }
+      });
+
+      it('can check that a TCP connection can be opened', function () {
+        var check = DEP.healthChecks.tcp({ timeout: 500 });
+
+        return listen(net.createServer(function (socket) {
+          socket.end();
+        })).then(function (endpoint) {
+          return check(endpoint).then(function () {
+            return new Promise(function (resolve) {
+              server.close(resolve);
+            });
+          }).then(function () {
+            return expectFailure(check(endpoint)); // nothing listening any more
+          });
+        });
+      });
+
+      it('can check the status of an HTTP request', function () {
+        var check = DEP.healthChecks.http({ path: '/health', timeout: 500 });
+        var status = 200;
+        var paths = [];
+
+        return listen(http.createServer(function (request, response) {
+          paths.push(request.url);
+          response.statusCode = status;
+          response.end();
+        })).then(function (endpoint) {
+          return check(endpoint).then(function () {
+            status = 503;
+            return expectFailure(check(endpoint));
+          });
+        }).then(function () {
+          expect(paths).to.eql(['/health', '/health']);
+        });
+      });
+
+      it('fails HTTP checks which time out', function () {
+        var check = DEP.healthChecks.http({ timeout: 50 });
+
+        return listen(http.createServer(_.noop)).then(function (endpoint) {
+          return expectFailure(check(endpoint));
+        });
+      });
+    });
+  });
+
+  describe('HTTP requests', function () {
+    var http = require('http');
+    var server;
+    var pool;
+
+    function listen(handler) {
+      server = http.createServer(handler);
+      return new Promise(function (resolve) {
+        server.listen(0, '127.0.0.1', resolve);
+      }).then(function () {
+        pool = new DEP('foo.localhost', 60000, { maxFailures: 1, failureWindow: 1000, resetTimeout: 1000 }, {
+          source: [{ name: '127.0.0.1', port: server.address().port }]
+        });
+        return pool.ready();
+      });
+    }
+
+    function send(options) {
+      return new Promise(function (resolve, reject) {
+        pool.request(options, function (response) {
+          var body = '';
+          response.on('data', function (chunk) {
+            body += chunk;
+          });
+          response.on('end', function () {
+            resolve({ statusCode: response.statusCode, body: body });
+          });
+        }).on('error', reject).end();
+      });
+    }
+
+    function get(agent, path) {
+      return new Promise(function (resolve, reject) {
+        http.get({ host: 'my-service', path: path, agent: agent }, function (response) {
+          response.resume();
+          resolve(response.statusCode);
+        }).on('error', reject);
+      });
+    }
+
+    beforeEach(function () {
+      clock.restore();
+    });
+
+    afterEach(function (done) {
+      pool.stopUpdating();
+      server.close(function () {
+        done();
+      });
+    });
+
+    it('sends requests to an endpoint and reports failure status codes', function () {
+      var ejected = Sinon.spy();
+
+      return listen(function (request, response) {
+        response.statusCode = request.url === '/missing' ? 404 : 200;
+        response.end(request.method + ' ' + request.url);
+      }).then(function () {
+        pool.on('endpointEjected', ejected);
+        return send({ method: 'POST', path: '/things', hostname: 'ignored' });
+      }).then(function (response) {
+        expect(response).to.eql({ statusCode: 200, body: 'POST /things' });
+        return send({ path: '/missing' });
+      }).then(function (response) {
+        expect(response.statusCode).to.be(404);
+        expect(ejected.called).to.be(false);
+        return send({
+          path: '/missing',
+          isFailureStatus: function (statusCode) {
+            return statusCode === 404;
+          }
+        });
+      }).then(function () {
+        expect(ejected.calledOnce).to.be(true);
+        expect(ejected.firstCall.args[0].endpoint.lastError.message).to.match(/^127\.0\.0\.1:\d+ responded with 404$/);
+        expect(function () {
+          pool.request({ path: '/' });
+        }).to.throwError(function (err) {
+          expect(err).to.be.a(DEP.NoEndpointsError);
+        });
+      });
+    });
+
+    it('fails requests which time out', function () {
+      var ejected = Sinon.spy();
+
+      return listen(_.noop).then(function () {
+        pool.on('endpointEjected', ejected);
+        return send({ path: '/', timeout: 50 });
+      }).then(function () {
+        throw new Error('should have failed');
+      }, function (err) {
+        expect(err).to.be.a(DEP.TimeoutError);
+        expect(ejected.calledOnce).to.be(true);
+      });
+    });
+
+    it('reports refused connections as failures', function () {
+      var ejected = Sinon.spy();
+
+      return listen(_.noop).then(function () {
+        pool.on('endpointEjected', ejected);
+        return new Promise(function (resolve) {
+          server.close(resolve); // nothing listens on the endpoint's port any more
+        });
+      }).then(function () {
+        return send({ path: '/' });
+      }).then(function () {
+        throw new Error('should have failed');
+      }, function (err) {
+        expect(err.code).to.be('ECONNREFUSED');
+        expect(ejected.calledOnce).to.be(true);
+        expect(pool.getStatus().unhealthy).to.be(1);
+      });
+    });
+
+    it('does not count requests destroyed by the caller', function () {
+      var ejected = Sinon.spy();
+
+      return listen(_.noop).then(function () {
+        var request = pool.request({ path: '/' });
+        pool.on('endpointEjected', ejected);
+        request.on('error', _.noop);
+        request.end();
+        return new Promise(function (resolve) {
+          request.on('close', resolve);
+          setTimeout(function () {
+            request.destroy();
+          }, 10);
+        });
+      }).then(function () {
+        expect(ejected.called).to.be(false);
+        expect(pool.poolManager.endpoints[0].outstanding).to.be(0);
+      });
+    });
+
+    it('can send requests through an agent', function () {
+      var hosts = [];
+      var agent;
+
+      return listen(function (request, response) {
+        hosts.push(request.headers.host);
+        response.statusCode = request.url === '/fail' ? 503 : 200;
+        response.end();
+      }).then(function () {
+        agent = new DEP.Agent(pool, { keepAlive: true });
+        return get(agent, '/');
+      }).then(function (statusCode) {
+        expect(statusCode).to.be(200);
+        expect(hosts).to.eql(['my-service']);
+        return get(agent, '/fail');
+      }).then(function (statusCode) {
+        expect(statusCode).to.be(503);
+        return settle();
+      }).then(function () {
+        expect(pool.getStatus().unhealthy).to.be(1);
+        return get(agent, '/');
+      }).then(function () {
+        throw new Error('should have failed');
+      }, function (err) {
+        expect(err).to.be.a(DEP.NoEndpointsError);
+        agent.destroy();
+      });
+    });
+
+    it('checks HTTPS certificates against the name of the endpoint', function () {
+      var https = require('https');
+      var addRequest = autoRestore(Sinon.stub(https.Agent.prototype, 'addRequest'));
+      var named = createPool({ records: [{ name: 'bar.localhost', port: 8443 }] });
+
+      function sendThrough(targetPool, options) {
+        var request = https.request(_.extend({ host: 'my-service.example', agent: new DEP.HttpsAgent(targetPool) }, options));
+        request.on('error', _.noop);
+        request.destroy();
+        return addRequest.lastCall.args[1];
+      }
+
+      return listen(_.noop).then(function () {
+        expect(sendThrough(named)).to.have.property('servername', 'bar.localhost');
+        expect(sendThrough(named, { servername: 'other.example' })).to.have.property('servername', 'other.example');
+        expect(sendThrough(pool)).to.not.have.property('servername'); // an IP address
+        named.stopUpdating();
+      });
+    });
+  });
+
+  describe('refresh scheduling', function () {
+    it('can schedule refreshes from the record TTLs', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+
+      resolve
+        .onFirstCall().callsArgWith(0, null, [
+          { name: 'bar.localhost', port: 8000, ttl: 30 },
+          { name: 'baz.localhost', port: 8001, ttl: 20 }
+        ])
+        .onSecondCall().callsArgWith(0, null, [{ name: 'bar.localhost', port: 8000, ttl: 1 }])
+        .onThirdCall().callsArgWith(0, null, [{ name: 'bar.localhost', port: 8000 }]);
+
+      var dep = new DEP('foo.localhost', 60000, null, {
+        source: DEP.sources.address('foo.localhost', 8000),
+        useRecordTtl: true,
+        minTtl: 5000
+      });
+
+      clock.tick(19999);
+      Sinon.assert.calledOnce(resolve);
+      clock.tick(1);
+      Sinon.assert.calledTwice(resolve);
+
+      clock.tick(5000); // clamped to minTtl
+      Sinon.assert.calledThrice(resolve);
+
+      clock.tick(59999); // no TTL, so use the default
+      Sinon.assert.calledThrice(resolve);
+      clock.tick(1);
+      expect(resolve.callCount).to.be(4);
+      dep.stopUpdating();
+    });
+
+    it('rejects record TTLs for SRV lookups, which do not give them', function () {
+      autoRestore(Sinon.stub(DEP.prototype, 'update'));
+      [
+        function () { return new DEP('foo.localhost', 5000, null, { useRecordTtl: true }); },
+        function () {
+          return new DEP('foo.localhost', 5000, null, {
+            source: DEP.sources.srv('foo.localhost'),
+            useRecordTtl: true
+          });
+        }
+      ].forEach(function (fn) {
+        expect(fn).to.throwError(/useRecordTtl needs a source which gives record TTLs/);
+      });
+    });
+
+    it('clamps record TTLs to the maximum, which defaults to the pool ttl', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+
+      resolve.callsArgWith(0, null, [{ name: 'bar.localhost', port: 8000, ttl: 3600 }]);
+
+      var dep = new DEP('foo.localhost', 5000, null, {
+        source: DEP.sources.address('foo.localhost', 8000),
+        useRecordTtl: true
+      });
+
+      clock.tick(5000);
+      Sinon.assert.calledTwice(resolve);
+      dep.stopUpdating();
+    });
+
+    it('backs off exponentially with jitter when updates fail', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+      var random = autoRestore(Sinon.stub(Math, 'random'));
+      var errorHandler = Sinon.spy();
+      var errObj = { error: true };
+
+      random.returns(0.5);
+      resolve
+        .callsArgWith(0, errObj)
+        .onCall(4).callsArgWith(0, null, [{ name: 'bar.localhost', port: 8000 }]);
+
+      var dep = new DEP('foo.localhost', 60000, null, {
+        retryBackoff: { initialDelay: 1000, maxDelay: 5000 }
+      });
+      dep.on('updateError', errorHandler);
+
+      // the first failure happened during construction, before there was a listener
+      clock.tick(750); // 1000, less 25% jitter
+      clock.tick(1500); // 2000
+      clock.tick(3000); // 4000
+      clock.tick(3750); // capped at 5000
+      expect(resolve.callCount).to.be(5);
+
+      expect(_.pluck(errorHandler.args, 2)).to.eql([
+        { attempt: 2, retryDelay: 1500 },
+        { attempt: 3, retryDelay: 3000 },
+        { attempt: 4, retryDelay: 3750 }
+      ]);
+
+      // success resets the schedule
+      clock.tick(59999);
+      expect(resolve.callCount).to.be(5);
+      clock.tick(1);
+      expect(errorHandler.lastCall.args[2]).to.eql({ attempt: 1, retryDelay: 750 });
+      dep.stopUpdating();
+    });
+
+    it('fills in the backoff defaults, and rejects settings which are not numbers', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+      var random = autoRestore(Sinon.stub(Math, 'random'));
+      var errorHandler = Sinon.spy();
+
+      random.returns(0);
+      resolve.callsArgWith(0, { error: true });
+
+      var dep = new DEP('foo.localhost', 60000, null, { retryBackoff: { maxDelay: 1500 } });
+      dep.on('updateError', errorHandler);
+      clock.tick(1000);
+      clock.tick(1500);
+      expect(_.pluck(errorHandler.args, 2)).to.eql([
+        { attempt: 2, retryDelay: 1500 },
+        { attempt: 3, retryDelay: 1500 }
+      ]);
+      dep.stopUpdating();
+
+      expect(new DEP('foo.localhost', 60000, null, { retryBackoff: true }).retryBackoff.initialDelay).to.be(1000);
+      expect(function () {
+        return new DEP('foo.localhost', 60000, null, { retryBackoff: { initialDelay: '1s' } });
+      }).to.throwError('Backoff initialDelay must be a number of at least 0');
+    });
+  });
+
+  describe('snapshots', function () {
+    var snapshot;
+    var store;
+
+    beforeEach(function () {
+      clock.tick(100000);
+      snapshot = {
+        endpoints: [{ name: 'bar.localhost', port: 8000 }, { name: 'baz.localhost', port: 8001 }],
+        time: 40000
+      };
+      store = {
+        load: function (callback) {
+          process.nextTick(callback, null, snapshot);
+        },
+        save: Sinon.spy()
+      };
+    });
+
+    it('serves endpoints from a recent snapshot until discovery works', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+      var onReady = Sinon.spy();
+      var stale = Sinon.spy();
+
+      resolve.callsArgWith(0, new Error('SERVFAIL'));
+      var dep = new DEP('foo.localhost', 5000, null, {
+        onReady: onReady,
+        snapshotStore: store,
+        maxSnapshotAge: 60000,
+        maxShrinkPercent: 0
+      });
+      dep.on('servingStaleEndpoints', stale);
+      expect(dep.hasEndpoints()).to.be(false);
+
+      return settle().then(function () {
+        Sinon.assert.calledOnce(onReady);
+        Sinon.assert.calledOnce(stale);
+        expect(stale.lastCall.args[0].age).to.be(60000);
+        expect(dep.getEndpoint().url).to.be('bar.localhost:8000');
+        expect(dep.getStatus()).to.have.property('stale', true);
+        expect(dep.getStatus()).to.have.property('age', 60000);
+        Sinon.assert.notCalled(store.save);
+
+        resolve.callsArgWith(0, null, [{ name: 'quux.localhost', port: 8002 }]);
+        clock.tick(5000);
+        expect(dep.getStatus()).to.have.property('stale', false);
+        expect(dep.getStatus().total).to.be(1); // not rejected for shrinking the stale pool
+        Sinon.assert.calledWith(store.save, { endpoints: [{ name: 'quux.localhost', port: 8002 }], time: 105000 });
+        dep.stopUpdating();
+      });
+    });
+
+    it('ignores a snapshot which loads after the pool is destroyed', function () {
+      var load;
+      var onReady = Sinon.spy();
+      var dep = createPool({
+        onReady: onReady,
+        snapshotStore: {
+          load: function (callback) {
+            load = callback;
+          },
+          save: _.noop
+        },
+        maxSnapshotAge: 60000
+      });
+
+      dep.destroy();
+      load(null, { endpoints: [{ name: 'bar.localhost', port: 8000 }], time: clock.now });
+      expect(dep.hasEndpoints()).to.be(false);
+      expect(dep.source.lookups).to.be(0);
+      Sinon.assert.notCalled(onReady);
+      expect(_.size(clock.timers)).to.be(0);
+    });
+
+    it('ignores snapshots older than maxSnapshotAge', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+
+      resolve.callsArgWith(0, new Error('SERVFAIL'));
+      var dep = new DEP('foo.localhost', 5000, null, { snapshotStore: store, maxSnapshotAge: 59999 });
+
+      return settle().then(function () {
+        expect(dep.hasEndpoints()).to.be(false);
+        expect(dep.getStatus().stale).to.be(false);
+        dep.stopUpdating();
+      });
+    });
+
+    it('can keep the snapshot in a file', function () {
+      var fs = require('fs');
+      var path = require('path').join(require('os').tmpdir(), 'dns-endpoint-pool-test-' + process.pid + '.json');
+      var fileStore = DEP.snapshots.file(path);
+      var load = function () {
+        return new Promise(function (resolve, reject) {
+          fileStore.load(function (err, loaded) {
+            return err ? reject(err) : resolve(loaded);
+          });
+        });
+      };
+
+      return load().then(function (loaded) {
+        expect(loaded).to.be(null); // nothing saved yet
+        return new Promise(function (resolve, reject) {
+          fileStore.save(snapshot, function (err) {
+            return err ? reject(err) : resolve();
+          });
+        });
+      }).then(load).then(function (loaded) {
+        expect(loaded).to.eql(snapshot);
+        fs.unlinkSync(path);
+      });
+    });
+
+    it('reports a malformed snapshot file instead of seeding from it', function () {
+      var fs = require('fs');
+      var path = require('path').join(require('os').tmpdir(), 'dns-endpoint-pool-test-' + process.pid + '.json');
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+      var snapshotError = Sinon.spy();
+
+      fs.writeFileSync(path, JSON.stringify({ time: 1 }));
+      resolve.callsArgWith(0, new Error('SERVFAIL'));
+      var dep = new DEP('foo.localhost', 5000, null, { snapshotStore: DEP.snapshots.file(path) });
+      dep.on('snapshotError', snapshotError);
+
+      return new Promise(function (resolveUpdate) {
+        dep.once('updateError', resolveUpdate); // the first update happens once the snapshot has been loaded
+      }).then(function () {
+        Sinon.assert.calledOnce(snapshotError);
+        expect(snapshotError.lastCall.args[0].message).to.be(
+          'Malformed snapshot for foo.localhost: it needs an array of endpoints and a time'
+        );
+        expect(dep.hasEndpoints()).to.be(false);
+        expect(dep.getStatus().stale).to.be(false);
+        dep.stopUpdating();
+        fs.unlinkSync(path);
+      });
+    });
+  });
+
+  describe('protecting against partial answers', function () {
+    var records = [
+      { name: 'bar.localhost', port: 8000 },
+      { name: 'baz.localhost', port: 8001 },
+      { name: 'qux.localhost', port: 8002 },
+      { name: 'quux.localhost', port: 8003 }
+    ];
+
+    it('rejects updates which would shrink the pool by too much', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+      var rejected = Sinon.spy();
+
+      resolve
+        .onFirstCall().callsArgWith(0, null, records)
+        .onSecondCall().callsArgWith(0, null, records.slice(0, 1))
+        .onThirdCall().callsArgWith(0, null, records.slice(0, 2));
+
+      var dep = new DEP('foo.localhost', 5000, null, { maxShrinkPercent: 50 });
+      dep.on('updateRejected', rejected);
+
+      clock.tick(5000);
+      Sinon.assert.calledOnce(rejected);
+      expect(rejected.firstCall.args[0].reason).to.eql({ cause: 'maxShrinkPercent', removed: 3, total: 4 });
+      expect(dep.getStatus().total).to.be(4);
+      expect(dep.getStatus().age).to.be(5000);
+
+      clock.tick(5000);
+      Sinon.assert.calledOnce(rejected);
+      expect(dep.getStatus().total).to.be(2);
+      dep.stopUpdating();
+    });
+
+    it('accepts a shrink once the same answer has come back acceptShrinkAfter times in a row', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+      var rejected = Sinon.spy();
+
+      resolve
+        .callsArgWith(0, null, records.slice(1, 2))
+        .onFirstCall().callsArgWith(0, null, records)
+        .onSecondCall().callsArgWith(0, null, records.slice(0, 1));
+
+      var dep = new DEP('foo.localhost', 5000, null, { maxShrinkPercent: 50 });
+      dep.on('updateRejected', rejected);
+
+      clock.tick(5000); // bar only
+      clock.tick(5000); // baz only, a different answer
+      clock.tick(5000); // baz only again
+      Sinon.assert.calledThrice(rejected);
+      expect(dep.getStatus().total).to.be(4);
+
+      clock.tick(5000); // baz only, for the third time in a row
+      Sinon.assert.calledThrice(rejected);
+      expect(dep.getStatus().total).to.be(1);
+      expect(dep.getStatus().age).to.be(0);
+      dep.stopUpdating();
+    });
+
+    it('rejects updates which would leave fewer than minEndpoints', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+      var rejected = Sinon.spy();
+
+      resolve
+        .callsArgWith(0, null, records.slice(0, 1))
+        .onSecondCall().callsArgWith(0, null, records.slice(0, 2));
+
+      var dep = new DEP('foo.localhost', 5000, null, { minEndpoints: 2 });
+      dep.on('updateRejected', rejected);
+      expect(dep.getStatus().total).to.be(1); // growing is always fine
+
+      clock.tick(5000);
+      expect(dep.getStatus().total).to.be(2);
+
+      clock.tick(5000);
+      Sinon.assert.calledOnce(rejected);
+      expect(rejected.firstCall.args[0].reason).to.eql({ cause: 'minEndpoints', endpoints: 1, minEndpoints: 2 });
+      expect(dep.getStatus().total).to.be(2);
+      dep.stopUpdating();
+    });
+
+    it('keeps the state of endpoints which come back within the grace period', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+      var both = records.slice(0, 2);
+      var bazOnly = records.slice(1, 2);
+
+      resolve
+        .onCall(0).callsArgWith(0, null, both)
+        .onCall(1).callsArgWith(0, null, bazOnly)
+        .onCall(2).callsArgWith(0, null, both)
+        .onCall(3).callsArgWith(0, null, bazOnly)
+        .onCall(4).callsArgWith(0, null, bazOnly)
+        .onCall(5).callsArgWith(0, null, both);
+
+      var dep = new DEP('foo.localhost', 5000, {
+        maxFailures: 2,
+        failureWindow: 1000,
+        resetTimeout: 60000
+      }, { removalGracePeriod: 7000 });
+      function getBarState() {
+        return _.findWhere(dep.getStatus({ detailed: true }).endpoints, { url: 'bar.localhost:8000' }).state;
+      }
+
+      dep.getEndpoint().callback(true); // bar
+      dep.getEndpoint(); // baz
+      dep.getEndpoint().callback(true); // bar
+      expect(getBarState()).to.be('open');
+
+      clock.tick(5000);
+      expect(getBarState()).to.be('open'); // still there, in its grace period
+      clock.tick(5000);
+      expect(getBarState()).to.be('open'); // back after 5 seconds
+
+      clock.tick(15000);
+      expect(getBarState()).to.be('closed'); // back after 10 seconds, as a new endpoint
+      dep.stopUpdating();
+    });
+
+    it('keeps serving endpoints which have disappeared until the grace period is over', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+      var removed = Sinon.spy();
+
+      resolve
+        .onCall(0).callsArgWith(0, null, records.slice(0, 2))
+        .onCall(1).callsArgWith(0, null, records.slice(1, 2));
+
+      var dep = new DEP('foo.localhost', 5000, null, { removalGracePeriod: 7000 });
+      dep.on('endpointsRemoved', removed);
+
+      clock.tick(5000);
+      expect(dep.getStatus().total).to.be(2);
+      expect(_.pluck([dep.getEndpoint(), dep.getEndpoint()], 'url').sort()).to.eql([
+        'bar.localhost:8000',
+        'baz.localhost:8001'
+      ]);
+      Sinon.assert.notCalled(removed);
+
+      clock.tick(6999);
+      Sinon.assert.notCalled(removed);
+      clock.tick(1);
+      Sinon.assert.calledOnce(removed);
+      expect(_.pluck(removed.lastCall.args[0].endpoints, 'url')).to.eql(['bar.localhost:8000']);
+      expect(dep.getStatus().total).to.be(1);
+      expect(dep.getEndpoint().url).to.be('baz.localhost:8001');
+      expect(dep.getEndpoint().url).to.be('baz.localhost:8001');
+      dep.stopUpdating();
+    });
+  });
+
+  describe('zone-aware pools', function () {
+    var records;
+    var zones = [
+      { name: 'foo.dc1.localhost', zone: 'dc1' },
+      { name: 'foo.dc2.localhost', zone: 'dc2' }
+    ];
+
+    beforeEach(function () {
+      records = {
+        'foo.dc1.localhost': [{ name: 'bar.dc1', port: 8000 }, { name: 'baz.dc1', port: 8000 }],
+        'foo.dc2.localhost': [{ name: 'bar.dc2', port: 8000 }, { name: 'baz.dc2', port: 8000 }]
+      };
+      autoRestore(Sinon.stub(DEP.prototype, 'resolve', function (callback) {
+        var zoneRecords = records[this.discoveryName];
+        callback(zoneRecords ? null : new Error('No answer'), zoneRecords);
+      }));
+    });
+
+    it('prefers the local zone until too few of its endpoints are healthy', function () {
+      var pool = new DEP.ZoneAwarePool(zones, 5000, { maxFailures: 1, failureWindow: 10000, resetTimeout: 10000 }, {
+        minHealthyPercent: 50
+      });
 
-  afterEach(function () {
-    var stub;
-    while ((stub = stubs.pop())) {
-      stub.restore();
-    }
-  });
+      var lease = pool.getEndpoint();
+      expect(lease.url).to.be('bar.dc1:8000');
+      expect(lease.zone).to.be('dc1');
+      lease.callback(true);
+      expect(pool.getEndpoint().url).to.be('baz.dc1:8000'); // half of dc1 is still healthy
 
-  it('enforces that all arguments are passed to the constructor', function () {
-    autoRestore(Sinon.stub(DEP.prototype, 'update'));
-    [
-      function () { return new DEP(); },
-      function () { return new DEP('foo.localhost'); }
-    ].forEach(function (fn) {
-      expect(fn).to.throwError('Must supply all arguments');
+      pool.getEndpoint().callback(true);
+      lease = pool.getEndpoint();
+      expect(lease.url).to.be('bar.dc2:8000');
+      expect(lease.zone).to.be('dc2');
+
+      clock.tick(10000);
+      expect(pool.getEndpoint().zone).to.be('dc1'); // back for trial requests
+      pool.stopUpdating();
     });
-  });
 
-  it('will automatically begin updating when constructed', function () {
-    /*eslint no-unused-vars: 0 */
-    var stub = autoRestore(Sinon.stub(DEP.prototype, 'update'));
-    var dep = new DEP('foo.localhost', 5000);
-    Sinon.assert.calledOnce(stub);
+    it('refreshes each zone independently and reports status per zone', function () {
+      var pool = new DEP.ZoneAwarePool(zones, 5000);
+      var errorHandler = Sinon.spy();
+
+      pool.getPool('dc1').on('updateError', errorHandler);
+      delete records['foo.dc1.localhost'];
+      records['foo.dc2.localhost'].pop();
+      clock.tick(5000);
+
+      Sinon.assert.calledOnce(errorHandler);
+      var status = pool.getStatus();
+      expect(status.total).to.be(3);
+      expect(status.unhealthy).to.be(0);
+      expect(_.map(status.zones, function (zone) {
+        return [zone.zone, zone.name, zone.total, zone.age];
+      })).to.eql([
+        ['dc1', 'foo.dc1.localhost', 2, 5000],
+        ['dc2', 'foo.dc2.localhost', 1, 0]
+      ]);
+      pool.stopUpdating();
+    });
+
+    it('seeds each zone from a snapshot store of its own', function () {
+      var stores = _.map(records, function (endpoints) {
+        return {
+          load: function (callback) {
+            callback(null, { endpoints: endpoints, time: clock.now });
+          },
+          save: Sinon.spy()
+        };
+      });
+      records = {}; // discovery is down
+
+      expect(function () {
+        return new DEP.ZoneAwarePool(zones, 5000, null, { snapshotStore: stores[0] });
+      }).to.throwError('Each zone needs a snapshotStore of its own');
+
+      var pool = new DEP.ZoneAwarePool([
+        _.extend({ snapshotStore: stores[0] }, zones[0]),
+        _.extend({ snapshotStore: stores[1] }, zones[1])
+      ], 5000);
+      expect(_.pluck(pool.getPool('dc1').getStatus({ detailed: true }).endpoints, 'url')).to.eql([
+        'bar.dc1:8000',
+        'baz.dc1:8000'
+      ]);
+      expect(_.pluck(pool.getPool('dc2').getStatus({ detailed: true }).endpoints, 'url')).to.eql([
+        'bar.dc2:8000',
+        'baz.dc2:8000'
+      ]);
+      expect(pool.getEndpoint().zone).to.be('dc1');
+      pool.stopUpdating();
+    });
+
+    it('emits noEndpoints when no zone has an endpoint to offer', function () {
+      var noEndpoints = Sinon.spy();
+      records = {};
+      var pool = new DEP.ZoneAwarePool(zones, 5000);
+
+      pool.on('noEndpoints', noEndpoints);
+      expect(pool.hasEndpoints()).to.be(false);
+      expect(pool.getEndpoint()).to.be(null);
+      Sinon.assert.calledOnce(noEndpoints);
+      return pool.withEndpoint(_.noop).then(function () {
+        throw new Error('should have rejected');
+      }, function (err) {
+        expect(err).to.be.a(DEP.NoEndpointsError);
+        expect(err.message).to.be('No endpoints available for foo.dc1.localhost, foo.dc2.localhost');
+        pool.stopUpdating();
+      });
+    });
   });
 
-  it('will execute a callback after the first update', function () {
-    var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
-    var called = false;
+  describe('testing helpers', function () {
+    var records = [{ name: 'bar.localhost', port: 8000 }, { name: 'baz.localhost', port: 8001 }];
+
+    it('steps the refresh cycle with a fake clock and scripted lookups', function () {
+      var pool = testing.createPool({ records: records, ttl: 5000 });
+      var updateError = Sinon.spy();
+      pool.on('updateError', updateError);
+
+      expect(pool.source.lookups).to.be(1);
+      expect(pool.getStatus().total).to.be(2);
+
+      pool.source.failOnce();
+      pool.clock.tick(4999);
+      expect(pool.source.lookups).to.be(1);
+      pool.clock.tick(1);
+      expect(pool.source.lookups).to.be(2);
+      expect(updateError.calledOnce).to.be(true);
+      expect(updateError.firstCall.args[1]).to.be(5000);
+
+      pool.source.setRecords(records.slice(1));
+      testing.refresh(pool);
+      expect(pool.source.lookups).to.be(3);
+      expect(pool.getStatus().total).to.be(1);
+      expect(pool.clock.pending()).to.be(1);
+    });
 
-    resolve.callsArgWith(0, null, []);
-    var dep = new DEP('foo.localhost', 5000, null, function () {
-      called = true;
+    it('refreshes without stopping health checks', function () {
+      var check = Sinon.spy(_.constant(false));
+      var pool = testing.createPool({
+        records: records,
+        circuitBreaker: { failureWindow: 1000, maxFailures: 3, resetTimeout: 10000 },
+        healthCheck: { check: check, interval: 1000 }
+      });
+
+      return settle().then(function () {
+        Sinon.assert.calledTwice(check); // the new endpoints
+        testing.refresh(pool);
+        pool.clock.tick(1000);
+        return settle();
+      }).then(function () {
+        expect(check.callCount).to.be(4);
+        expect(pool.clock.pending()).to.be(4); // the refresh, the checks and two reset timeouts
+        pool.destroy();
+      });
     });
 
-    expect(called).to.be(true);
+    it('forces circuit states and records which endpoints got traffic', function () {
+      var pool = testing.createPool({
+        records: records,
+        circuitBreaker: { failureWindow: 1000, maxFailures: 3, resetTimeout: 10000 }
+      });
+      var traffic = testing.recordTraffic(pool);
 
-    dep.stopUpdating();
+      testing.eject(pool, 'bar.localhost:8000');
+      _.times(3, function () {
+        pool.getEndpoint().callback(null);
+      });
+      traffic.assertTraffic(['baz.localhost:8001']);
+      traffic.assertTraffic({ 'baz.localhost:8001': 3 });
+      expect(function () {
+        traffic.assertTraffic(['bar.localhost:8000', 'baz.localhost:8001']);
+      }).to.throwError(/Expected values to be strictly deep-equal/);
+
+      traffic.reset();
+      traffic.assertNoTraffic();
+      pool.clock.tick(10000);
+      expect(pool.getStatus({ detailed: true }).endpoints[0].state).to.be('half-open-ready');
+
+      testing.restore(pool, 'bar.localhost:8000');
+      _.times(2, function () {
+        pool.getEndpoint().callback(null);
+      });
+      traffic.assertTraffic({ 'bar.localhost:8000': 1, 'baz.localhost:8001': 1 });
+
+      expect(function () {
+        testing.eject(testing.createPool({ records: records }), 'bar.localhost:8000');
+      }).to.throwError('Forcing circuit states needs a circuit breaker configuration');
+      expect(function () {
+        testing.eject(pool, 'qux.localhost:8000');
+      }).to.throwError('No endpoint qux.localhost:8000 in the pool');
+    });
   });
 
-  it('will update on a timer', function () {
-    var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+  describe('discovery sources', function () {
+    var dns = require('dns');
 
-    resolve.callsArgWith(0, null, []);
-    var dep = new DEP('foo.localhost', 5000);
+    it('looks up SRV records for the discovery name by default', function () {
+      var resolveSrv = autoRestore(Sinon.stub(dns, 'resolveSrv'));
 
-    Sinon.assert.calledOnce(resolve);
+      resolveSrv.callsArgWith(1, null, [{ name: 'bar.localhost', port: 8000, priority: 0, weight: 0 }]);
+      var dep = new DEP('foo.localhost', 5000);
 
-    clock.tick(5000);
-    Sinon.assert.calledTwice(resolve);
+      Sinon.assert.calledWith(resolveSrv, 'foo.localhost');
+      expect(dep.getEndpoint().url).to.be('bar.localhost:8000');
+      dep.stopUpdating();
+    });
 
-    clock.tick(5000);
-    Sinon.assert.calledThrice(resolve);
+    it('can look up SRV records on specific servers', function () {
+      var resolveSrv = autoRestore(Sinon.stub(dns.Resolver.prototype, 'resolveSrv'));
 
-    dep.stopUpdating();
-  });
+      resolveSrv.callsArgWith(1, null, [{ name: 'bar.localhost', port: 8000, priority: 0, weight: 0 }]);
+      var dep = new DEP('foo.localhost', 5000, null, {
+        source: DEP.sources.srv('foo.localhost', { servers: ['127.0.0.1'] })
+      });
 
-  it('will add resolved endpoints and serve them in rotation', function () {
-    var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+      expect(resolveSrv.firstCall.thisValue.getServers()).to.eql(['127.0.0.1']);
+      expect(dep.getEndpoint().url).to.be('bar.localhost:8000');
+      dep.stopUpdating();
+    });
 
-    resolve.callsArgWith(0, null, [
-      { name: 'bar.localhost', port: 8000 },
-      { name: 'baz.localhost', port: 8001 }
-    ]);
-    var dep = new DEP('foo.localhost', 5000);
+    it('can use A and AAAA records with a fixed port', function () {
+      var resolve4 = autoRestore(Sinon.stub(dns, 'resolve4'));
+      var resolve6 = autoRestore(Sinon.stub(dns, 'resolve6'));
 
-    expect(dep.getEndpoint().url).to.be('bar.localhost:8000');
-    expect(dep.getEndpoint().url).to.be('baz.localhost:8001');
-    dep.stopUpdating();
-  });
+      resolve4.callsArgWith(2, null, [{ address: '10.0.0.1', ttl: 20 }]);
+      resolve6.callsArgWith(2, null, [{ address: '::1', ttl: 10 }]);
+      var dep = new DEP('foo.localhost', 60000, null, {
+        source: DEP.sources.address('foo.localhost', 8080),
+        useRecordTtl: true
+      });
 
-  it('will trigger an error if resolving fails', function () {
-    var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+      expect(dep.getEndpoint().url).to.be('10.0.0.1:8080');
+      expect(dep.getEndpoint().url).to.be('::1:8080');
 
-    resolve
-      .onFirstCall().callsArgWith(0, null, [
-        { name: 'bar.localhost', port: 8000 },
-        { name: 'baz.localhost', port: 8001 }
-      ])
-      .onSecondCall().callsArgWith(0, { error: true });
+      resolve6.callsArgWith(2, { code: 'ENODATA' });
+      clock.tick(10000);
+      expect(dep.getStatus().total).to.be(1);
 
-    var dep = new DEP('foo.localhost', 5000);
+      resolve4.callsArgWith(2, { code: 'ENODATA' });
+      var errorHandler = Sinon.spy();
+      dep.on('updateError', errorHandler);
+      clock.tick(20000);
+      Sinon.assert.calledWith(errorHandler, { code: 'ENODATA' });
+      dep.stopUpdating();
+    });
 
-    expect(dep.getEndpoint().url).to.be('bar.localhost:8000');
+    it('can use a static list of records', function () {
+      var dep = new DEP('foo.localhost', 5000, null, {
+        source: [{ name: 'bar.localhost', port: 8000 }]
+      });
 
-    var errorData;
-    dep.on('updateError', function (err) {
-      errorData = err;
+      expect(dep.hasEndpoints()).to.be(false);
+      clock.tick(0);
+      expect(dep.getEndpoint().url).to.be('bar.localhost:8000');
+      dep.stopUpdating();
     });
 
-    clock.tick(5000);
-    expect(errorData).to.eql({ error: true });
+    it('can use an async function', function () {
+      var errorHandler = Sinon.spy();
+      var source = Sinon.stub();
 
-    // but it reuses the previous hosts
-    expect(dep.getEndpoint().url).to.be('baz.localhost:8001');
+      source.onFirstCall().returns(Promise.resolve([{ name: 'bar.localhost', port: 8000 }]));
+      source.onSecondCall().throws(new Error('nope'));
+
+      var dep = new DEP('foo.localhost', 5000, null, { source: source });
+      dep.on('updateError', errorHandler);
+
+      return settle().then(function () {
+        expect(dep.getEndpoint().url).to.be('bar.localhost:8000');
+        clock.tick(5000);
+        return settle();
+      }).then(function () {
+        expect(errorHandler.firstCall.args[0].message).to.be('nope');
+        expect(dep.getEndpoint().url).to.be('bar.localhost:8000');
+        dep.stopUpdating();
+      });
+    });
   });
 
-  it('will update with new endpoints returned', function () {
-    var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+  describe('with SRV priority and weight', function () {
+    function countSelections(dep, n) {
+      var counts = {};
+      for (var i = 0; i < n; ++i) {
+        var url = dep.getEndpoint().url;
+        counts[url] = (counts[url] || 0) + 1;
+      }
+      return counts;
+    }
 
-    resolve
-      .onFirstCall().callsArgWith(0, null, [
-        { name: 'bar.localhost', port: 8000 },
-        { name: 'baz.localhost', port: 8001 }
-      ])
-      .onSecondCall().callsArgWith(0, null, [
-        { name: 'baz.localhost', port: 8001  },
-        { name: 'quux.localhost', port: 8002 }
+    it('spreads load within a priority by weight', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+
+      resolve.callsArgWith(0, null, [
+        { name: 'bar.localhost', port: 8000, priority: 10, weight: 30 },
+        { name: 'baz.localhost', port: 8001, priority: 10, weight: 10 }
       ]);
-    var dep = new DEP('foo.localhost', 5000);
+      var dep = new DEP('foo.localhost', 5000);
 
-    dep.getEndpoint(); // bar
-    var bazEndpoint = dep.getEndpoint();
+      expect(countSelections(dep, 8)).to.eql({
+        'bar.localhost:8000': 6,
+        'baz.localhost:8001': 2
+      });
+      dep.stopUpdating();
+    });
 
-    expect(bazEndpoint.url).to.be('baz.localhost:8001');
+    it('only uses zero-weight endpoints when no weighted endpoints are available', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
 
-    clock.tick(5000);
+      resolve.callsArgWith(0, null, [
+        { name: 'bar.localhost', port: 8000, priority: 10, weight: 0 },
+        { name: 'baz.localhost', port: 8001, priority: 10, weight: 5 }
+      ]);
+      var dep = new DEP('foo.localhost', 5000, { maxFailures: 1, failureWindow: 10000, resetTimeout: 10000 });
 
-    expect(dep.getEndpoint()).to.be(bazEndpoint);
+      expect(countSelections(dep, 4)).to.eql({ 'baz.localhost:8001': 4 });
 
-    expect(dep.getEndpoint().url).to.be('quux.localhost:8002');
+      dep.getEndpoint().callback(true);
+      expect(dep.getEndpoint().url).to.be('bar.localhost:8000');
+      dep.stopUpdating();
+    });
 
-    dep.stopUpdating();
+    it('uses the lowest priority which has endpoints in the pool', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+
+      resolve.callsArgWith(0, null, [
+        { name: 'backup.localhost', port: 8002, priority: 20, weight: 0 },
+        { name: 'bar.localhost', port: 8000, priority: 10, weight: 0 },
+        { name: 'baz.localhost', port: 8001, priority: 10, weight: 0 }
+      ]);
+      var dep = new DEP('foo.localhost', 5000, { maxFailures: 1, failureWindow: 10000, resetTimeout: 10000 });
+
+      expect(countSelections(dep, 4)).to.eql({
+        'bar.localhost:8000': 2,
+        'baz.localhost:8001': 2
+      });
+
+      dep.getEndpoint().callback(true);
+      dep.getEndpoint().callback(true); // the whole primary tier is out
+
+      expect(countSelections(dep, 2)).to.eql({ 'backup.localhost:8002': 2 });
+
+      clock.tick(10000);
+      dep.getEndpoint().callback(null);
+      dep.getEndpoint().callback(null);
+
+      expect(countSelections(dep, 4)).to.eql({
+        'bar.localhost:8000': 2,
+        'baz.localhost:8001': 2
+      });
+      dep.stopUpdating();
+    });
   });
 
-  it('can query the state of endpoints', function () {
-    var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+  describe('with a load-balancing strategy', function () {
+    it('rejects unknown strategies', function () {
+      autoRestore(Sinon.stub(DEP.prototype, 'update'));
+      expect(function () {
+        return new DEP('foo.localhost', 5000, null, { strategy: 'fastest' });
+      }).to.throwError('Unknown load-balancing strategy: fastest');
+    });
 
-    resolve
-      .onFirstCall().callsArgWith(0, { error: true })
-      .onSecondCall().callsArgWith(0, null, [ { name: 'bar.localhost', port: 8000 } ])
-      .onThirdCall().callsArgWith(0, { error: true });
+    it('still accepts the onReady callback in place of the options', function () {
+      var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+      var onReady = Sinon.spy();
 
-    var dep = new DEP('foo.localhost', 5000);
+      resolve.callsArgWith(0, null, []);
+      var dep = new DEP('foo.localhost', 5000, null, onReady);
+      Sinon.assert.calledOnce(onReady);
+      dep.stopUpdating();
+    });
 
-    expect(dep.hasEndpoints()).to.be(false);
-    clock.tick(5000);
-    expect(dep.hasEndpoints()).to.be(true);
-    clock.tick(5000);
-    // should still have old endpoints
-    expect(dep.hasEndpoints()).to.be(true);
+    it('can select endpoints at random', function () {
+      var random = autoRestore(Sinon.stub(Math, 'random'));
+      var dep = createPool({ strategy: 'random' });
+
+      random.returns(0.5);
+      expect(dep.getEndpoint().url).to.be('baz.localhost:8001');
+      random.returns(0.9);
+      expect(dep.getEndpoint().url).to.be('quux.localhost:8002');
+      dep.stopUpdating();
+    });
+
+    it('can select the endpoint with the least outstanding requests', function () {
+      var dep = createPool({ strategy: 'least-outstanding' });
+
+      var bar = dep.getEndpoint();
+      var baz = dep.getEndpoint();
+      var quux = dep.getEndpoint();
+
+      expect([bar.url, baz.url, quux.url]).to.eql(['bar.localhost:8000', 'baz.localhost:8001', 'quux.localhost:8002']);
+
+      baz.callback(null);
+      expect(dep.getEndpoint().url).to.be(baz.url);
+      expect(dep.getEndpoint().url).to.be(quux.url); // all equally loaded, so carry on in rotation
+
+      bar.callback(null);
+      expect(dep.getEndpoint().url).to.be(bar.url);
+      dep.stopUpdating();
+    });
+
+    it('can pick the less loaded of two random endpoints', function () {
+      var random = autoRestore(Sinon.stub(Math, 'random'));
+      var dep = createPool({ strategy: 'power-of-two-choices' });
+
+      random.returns(0);
+      var bar = dep.getEndpoint(); // bar vs baz, both idle
+      expect(bar.url).to.be('bar.localhost:8000');
+
+      expect(dep.getEndpoint().url).to.be('baz.localhost:8001'); // bar is busy
+      bar.callback(null);
+      expect(dep.getEndpoint().url).to.be(bar.url);
+      dep.stopUpdating();
+    });
+
+    it('accepts custom strategies, which are only offered endpoints in the pool', function () {
+      var strategy = {
+        select: Sinon.spy(function (candidates) {
+          return candidates[candidates.length - 1];
+        })
+      };
+      var dep = createPool({
+        strategy: strategy,
+        circuitBreaker: { maxFailures: 1, failureWindow: 10000, resetTimeout: 10000 }
+      });
+
+      dep.getEndpoint().callback(true);
+
+      expect(dep.getEndpoint().url).to.be('baz.localhost:8001');
+      expect(_.pluck(strategy.select.lastCall.args[0], 'url')).to.eql(['bar.localhost:8000', 'baz.localhost:8001']);
+      expect(strategy.select.lastCall.args[1]).to.be(dep.poolManager);
+      dep.stopUpdating();
+    });
+  });
+
+  describe('with key affinity', function () {
+    var keys = _.times(1000, function (i) {
+      return 'key-' + i;
+    });
+
+    function getUrls(dep) {
+      return keys.map(function (key) {
+        var lease = dep.getEndpoint(key);
+        lease.callback(null);
+        return lease.url;
+      });
+    }
+
+    it('keeps sending the same key to the same endpoint, and spreads keys over the endpoints', function () {
+      var dep = createPool();
+      var urls = getUrls(dep);
+
+      expect(getUrls(dep)).to.eql(urls);
+      _.values(_.countBy(urls)).forEach(function (count) {
+        expect(count).to.be.within(250, 417);
+      });
+      dep.stopUpdating();
+    });
+
+    it('only moves the keys of endpoints which come or go', function () {
+      var dep = createPool();
+      var before = getUrls(dep);
+
+      dep.setEndpoints([{ name: 'bar.localhost', port: 8000 }, { name: 'baz.localhost', port: 8001 }]);
+      getUrls(dep).forEach(function (url, i) {
+        if (before[i] !== 'quux.localhost:8002') {
+          expect(url).to.be(before[i]);
+        }
+      });
+
+      dep.setEndpoints([
+        { name: 'bar.localhost', port: 8000 },
+        { name: 'baz.localhost', port: 8001 },
+        { name: 'quux.localhost', port: 8002 }
+      ]);
+      expect(getUrls(dep)).to.eql(before);
+      dep.stopUpdating();
+    });
+
+    it('falls back to the next endpoint in hash order while one is ejected', function () {
+      var dep = createPool({ circuitBreaker: { maxFailures: 1, failureWindow: 10000, resetTimeout: 10000 } });
+      var before = getUrls(dep);
+      var lease = dep.getEndpoint('key-0');
+
+      lease.callback(true);
+      getUrls(dep).forEach(function (url, i) {
+        if (before[i] === lease.url) {
+          expect(url).to.not.be(lease.url);
+        } else {
+          expect(url).to.be(before[i]);
+        }
+      });
+
+      clock.tick(10000);
+      expect(getUrls(dep)).to.eql(before); // the trial request succeeded
+      dep.stopUpdating();
+    });
+
+    it('respects SRV weights', function () {
+      var dep = createPool({
+        records: [{ name: 'bar.localhost', port: 8000, weight: 3 }, { name: 'baz.localhost', port: 8001, weight: 1 }]
+      });
+      var counts = _.countBy(getUrls(dep));
+
+      expect(counts['bar.localhost:8000']).to.be.within(700, 800);
+      dep.stopUpdating();
+    });
   });
 
   describe('with eject-on-error pool management', function () {
@@ -186,16 +2842,16 @@ describe('DNS Endpoint Pool', function () {
 
         var dep = new DEP('foo.localhost', 5000, ejectOnErrorConfig);
 
-        var barEndpoint = dep.getEndpoint();
-        barEndpoint.callback(true);
+        dep.getEndpoint().callback(true); // bar
 
         var bazEndpoint = dep.getEndpoint();
+        var barEndpoint = dep.getEndpoint();
 
-        expect(dep.getEndpoint()).to.be(barEndpoint); // still in the pool
+        expect(barEndpoint.url).to.be('bar.localhost:8000'); // still in the pool
         barEndpoint.callback(true);
 
-        expect(dep.getEndpoint()).to.be(bazEndpoint);
-        expect(dep.getEndpoint()).to.be(bazEndpoint); // bar is removed
+        expect(dep.getEndpoint().url).to.be(bazEndpoint.url);
+        expect(dep.getEndpoint().url).to.be(bazEndpoint.url); // bar is removed
 
         var status = dep.getStatus();
         expect(status.total).to.be(2);
@@ -215,20 +2871,99 @@ describe('DNS Endpoint Pool', function () {
 
         var dep = new DEP('foo.localhost', 5000, ejectOnErrorConfig);
 
+        dep.getEndpoint().callback(true); // bar
+        dep.getEndpoint(); // baz
+        dep.getEndpoint().callback(true); // bar, removed from pool.
+        dep.getEndpoint(); // baz
+
+        clock.tick(10000);
+
         var barEndpoint = dep.getEndpoint();
-        barEndpoint.callback(true);
-        barEndpoint.callback(true); // removed from pool.
+        expect(barEndpoint.url).to.be('bar.localhost:8000');
+        expect(dep.getEndpoint().url).to.be('baz.localhost:8001');
+        expect(dep.getEndpoint().url).to.be('baz.localhost:8001'); // only return barEndpoint once
 
-        var bazEndpoint = dep.getEndpoint();
+        barEndpoint.callback(null); // denotes success
+        expect(dep.getEndpoint().url).to.be('bar.localhost:8000'); // it's back in the game
+        dep.stopUpdating();
+      });
+
+      it('lets several trial requests through and needs them to succeed before reinstating', function () {
+        var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+        var restored = Sinon.spy();
+
+        resolve.callsArgWith(0, null, [
+          { name: 'bar.localhost', port: 8000 },
+          { name: 'baz.localhost', port: 8001 }
+        ]);
+
+        var dep = new DEP('foo.localhost', 5000, _.extend({}, ejectOnErrorConfig, {
+          halfOpenRequests: 2,
+          halfOpenSuccesses: 2
+        }));
+        dep.on('endpointRestored', restored);
+
+        dep.getEndpoint().callback(true); // bar
+        dep.getEndpoint(); // baz
+        dep.getEndpoint().callback(true); // bar, removed from pool.
+        dep.getEndpoint(); // baz
 
         clock.tick(10000);
 
-        expect(dep.getEndpoint()).to.be(barEndpoint);
-        expect(dep.getEndpoint()).to.be(bazEndpoint);
-        expect(dep.getEndpoint()).to.be(bazEndpoint); // only return barEndpoint once
+        var trials = [dep.getEndpoint()];
+        expect(dep.getEndpoint().url).to.be('baz.localhost:8001');
+        trials.push(dep.getEndpoint());
+        expect(dep.getEndpoint().url).to.be('baz.localhost:8001');
+        expect(dep.getEndpoint().url).to.be('baz.localhost:8001'); // two trials in flight
+        expect(_.pluck(trials, 'url')).to.eql(['bar.localhost:8000', 'bar.localhost:8000']);
 
-        barEndpoint.callback(null); // denotes success
-        expect(dep.getEndpoint()).to.be(barEndpoint); // it's back in the game
+        trials[0].callback(null);
+        expect(restored.called).to.be(false); // one success isn't enough
+        expect(dep.getEndpoint().url).to.be('bar.localhost:8000'); // but it frees up a trial
+
+        trials[1].callback(null);
+        expect(restored.calledOnce).to.be(true);
+        expect(restored.firstCall.args[0].reason).to.eql({ cause: 'halfOpenSuccess' });
+        dep.stopUpdating();
+      });
+
+      it('only counts trial requests towards recovery, not reports on requests from before', function () {
+        var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+        var restored = Sinon.spy();
+        var ejected = Sinon.spy();
+
+        resolve.callsArgWith(0, null, [
+          { name: 'bar.localhost', port: 8000 },
+          { name: 'baz.localhost', port: 8001 }
+        ]);
+
+        var dep = new DEP('foo.localhost', 5000, _.extend({}, ejectOnErrorConfig, { maxFailures: 1 }));
+        dep.on('endpointRestored', restored);
+        dep.on('endpointEjected', ejected);
+
+        var stale = [dep.getEndpoint()]; // bar
+        dep.getEndpoint().callback(null); // baz
+        stale.push(dep.getEndpoint()); // bar
+        dep.getEndpoint().callback(null); // baz
+        dep.getEndpoint().callback(true); // bar, removed from pool.
+        expect(_.pluck(stale, 'url')).to.eql(['bar.localhost:8000', 'bar.localhost:8000']);
+
+        clock.tick(10000);
+        stale[0].callback(null);
+        stale[1].callback(true);
+        expect(restored.called).to.be(false);
+        Sinon.assert.calledOnce(ejected);
+        expect(dep.getStatus({ detailed: true }).endpoints[0]).to.have.property('state', 'half-open-ready');
+        expect(dep.getStatus({ detailed: true }).endpoints[0]).to.have.property('ejections', 1);
+
+        var trial = _.find(_.times(2, function () {
+          return dep.getEndpoint();
+        }), function (lease) {
+          return lease.url === 'bar.localhost:8000';
+        });
+        trial.callback(null);
+        Sinon.assert.calledOnce(restored);
+        expect(restored.firstCall.args[0].reason).to.eql({ cause: 'halfOpenSuccess' });
         dep.stopUpdating();
       });
 
@@ -258,9 +2993,9 @@ describe('DNS Endpoint Pool', function () {
 
         Sinon.assert.calledThrice(errorHandler);
 
-        expect(errorHandler.firstCall.calledWithExactly(errObj, 5000)).to.be(true);
-        expect(errorHandler.secondCall.calledWithExactly(errObj, 10000)).to.be(true);
-        expect(errorHandler.thirdCall.calledWithExactly(errObj, 5000)).to.be(true);
+        expect(errorHandler.firstCall.calledWithExactly(errObj, 5000, { attempt: 1, retryDelay: 5000 })).to.be(true);
+        expect(errorHandler.secondCall.calledWithExactly(errObj, 10000, { attempt: 2, retryDelay: 5000 })).to.be(true);
+        expect(errorHandler.thirdCall.calledWithExactly(errObj, 5000, { attempt: 1, retryDelay: 5000 })).to.be(true);
         dep.stopUpdating();
       });
     });
@@ -282,16 +3017,16 @@ describe('DNS Endpoint Pool', function () {
 
         var dep = new DEP('foo.localhost', 5000, ejectOnErrorConfig);
 
-        var barEndpoint = dep.getEndpoint();
-        barEndpoint.callback(true);
+        dep.getEndpoint().callback(true); // bar
 
         var bazEndpoint = dep.getEndpoint();
+        var barEndpoint = dep.getEndpoint();
 
-        expect(dep.getEndpoint()).to.be(barEndpoint); // still in the pool
+        expect(barEndpoint.url).to.be('bar.localhost:8000'); // still in the pool
         barEndpoint.callback(true);
 
-        expect(dep.getEndpoint()).to.be(bazEndpoint);
-        expect(dep.getEndpoint()).to.be(bazEndpoint); // bar is removed
+        expect(dep.getEndpoint().url).to.be(bazEndpoint.url);
+        expect(dep.getEndpoint().url).to.be(bazEndpoint.url); // bar is removed
 
         var status = dep.getStatus();
         expect(status.total).to.be(2);
@@ -334,20 +3069,64 @@ describe('DNS Endpoint Pool', function () {
           resetTimeout: 10000
         });
 
+        dep.getEndpoint().callback(true); // bar
+        dep.getEndpoint(); // baz
+        dep.getEndpoint().callback(true); // bar, removed from pool.
+        dep.getEndpoint(); // baz
+
+        clock.tick(10000);
+
         var barEndpoint = dep.getEndpoint();
-        barEndpoint.callback(true);
-        barEndpoint.callback(true); // removed from pool.
+        expect(barEndpoint.url).to.be('bar.localhost:8000');
+        expect(dep.getEndpoint().url).to.be('baz.localhost:8001');
+        expect(dep.getEndpoint().url).to.be('baz.localhost:8001'); // only return barEndpoint once
 
-        var bazEndpoint = dep.getEndpoint();
+        barEndpoint.callback(null); // denotes success
+        expect(dep.getEndpoint().url).to.be('bar.localhost:8000'); // it's back in the game
+        dep.stopUpdating();
+      });
+
+      it('tolerates a number of failed trial requests before ejecting again', function () {
+        var resolve = autoRestore(Sinon.stub(DEP.prototype, 'resolve'));
+        var ejected = Sinon.spy();
+
+        resolve.callsArgWith(0, null, [
+          { name: 'bar.localhost', port: 8000 },
+          { name: 'baz.localhost', port: 8001 }
+        ]);
+
+        var dep = new DEP('foo.localhost', 5000, {
+          failureRate: 1,
+          failureRateWindow: 2,
+          resetTimeout: 10000,
+          halfOpenRequests: 3,
+          halfOpenSuccesses: 2,
+          halfOpenFailureTolerance: 1
+        });
+
+        dep.getEndpoint().callback(true); // bar
+        dep.getEndpoint(); // baz
+        dep.getEndpoint().callback(true); // bar, removed from pool.
 
         clock.tick(10000);
+        dep.on('endpointEjected', ejected);
+
+        var trials = _.times(10, function () {
+          return dep.getEndpoint();
+        }).filter(function (endpoint) {
+          return endpoint.url === 'bar.localhost:8000';
+        });
+        expect(trials).to.have.length(3);
 
-        expect(dep.getEndpoint()).to.be(barEndpoint);
-        expect(dep.getEndpoint()).to.be(bazEndpoint);
-        expect(dep.getEndpoint()).to.be(bazEndpoint); // only return barEndpoint once
+        trials[0].callback(true);
+        trials[1].callback(null);
+        expect(ejected.called).to.be(false);
+        expect(dep.getStatus({ detailed: true }).endpoints[0].state).to.be('half-open-ready');
 
-        barEndpoint.callback(null); // denotes success
-        expect(dep.getEndpoint()).to.be(barEndpoint); // it's back in the game
+        trials[2].callback(true);
+        expect(ejected.calledOnce).to.be(true);
+        expect(ejected.firstCall.args[0].reason).to.eql({ cause: 'halfOpenFailure' });
+        expect(ejected.firstCall.args[0].previousState).to.be('half-open-ready');
         dep.stopUpdating();
       });
     });
@@ -0,0 +1,262 @@
+var _            = require('underscore');
+var assert       = require('assert');
+var EndpointPool = require('./index');
+
+/**
+ * Helpers for testing code which uses a pool, without DNS or real time. Require it as `dns-endpoint-pool/testing`.
+ *
+ *     var testing = require('dns-endpoint-pool/testing');
+ *     var pool = testing.createPool({ records: [{ name: 'a', port: 80 }] });
+ *     pool.source.setRecords([{ name: 'b', port: 80 }]);
+ *     testing.refresh(pool);
+ */
+
+/**
+ * A clock which only moves when told to. It has the same methods as the system clock in `clock.js`.
+ *
+ * @param {Number=} now  The time to start from, in milliseconds since the epoch. Default 0.
+ */
+function FakeClock(now) {
+  this._now = now || 0;
+  this._timers = [];
+  this._nextId = 1;
+}
+
+FakeClock.prototype = {
+  now: function () {
+    return this._now;
+  },
+  setTimeout: function (fn, delay) {
+    return this.addTimer(fn, delay, null);
+  },
+  clearTimeout: function (id) {
+    this._timers = _.reject(this._timers, _.matcher({ id: id }));
+  },
+  setInterval: function (fn, delay) {
+    return this.addTimer(fn, delay, delay);
+  },
+  clearInterval: function (id) {
+    this.clearTimeout(id);
+  },
+  /**
+   * Moves the time forward, firing the timers which fall due on the way in order, including those they set.
+   *
+   * @param {Number} ms
+   */
+  tick: function (ms) {
+    var until = this._now + ms;
+    var timer;
+
+    while ((timer = this.nextTimer()) && timer.at <= until) {
+      this._now = timer.at;
+      if (timer.interval) {
+        timer.at += timer.interval;
+      } else {
+        this.clearTimeout(timer.id);
+      }
+      timer.fn();
+    }
+    this._now = until;
+  },
+  /**
+   * @return {Number}  How many timers are set.
+   */
+  pending: function () {
+    return this._timers.length;
+  },
+  addTimer: function (fn, delay, interval) {
+    var id = this._nextId++;
+    this._timers.push({ id: id, fn: fn, at: this._now + Math.max(delay || 0, 0), interval: interval });
+    return id;
+  },
+  // the timer which is due first, or the first set of those due at the same time
+  nextTimer: function () {
+    return _.sortBy(_.sortBy(this._timers, 'id'), 'at')[0];
+  }
+};
+
+/**
+ * A discovery source which answers straight away with the records it is given, or fails as scripted. Lookups use the
+ * current records unless answers have been queued with `answerOnce` or `failOnce`.
+ *
+ * @param {Object[]=} records  Records, each with a `name` and `port`, as from any source.
+ */
+function FakeSource(records) {
+  this.records = records || [];
+  this.error = null;
+  this.lookups = 0;
+  this._answers = [];
+}
+
+FakeSource.prototype = {
+  resolve: function (callback) {
+    var answer = this._answers.length ? this._answers.shift() : { err: this.error, records: this.records };
+    this.lookups++;
+    callback(answer.err, answer.err ? null : answer.records.slice());
+  },
+  /**
+   * Answers lookups with these records from now on, and stops failing.
+   *
+   * @param {Object[]} records
+   */
+  setRecords: function (records) {
+    this.records = records;
+    this.error = null;
+  },
+  /**
+   * Fails lookups from now on, until `setRecords` is called.
+   *
+   * @param {Error=} err
+   */
+  fail: function (err) {
+    this.error = err || new Error('Lookup failed');
+  },
+  /**
+   * Answers the next lookup with these records, then goes back to the current ones.
+   *
+   * @param {Object[]} records
+   */
+  answerOnce: function (records) {
+    this._answers.push({ err: null, records: records });
+  },
+  /**
+   * Fails the next lookup, then goes back to the current records.
+   *
+   * @param {Error=} err
+   */
+  failOnce: function (err) {
+    this._answers.push({ err: err || new Error('Lookup failed'), records: null });
+  }
+};
+
+/**
+ * Creates a pool over a `FakeSource`, with a `FakeClock`: they are the pool's `source` and `clock`. The first lookup
+ * happens straight away; later ones when the clock is moved on by the `ttl`, or on `refresh`.
+ *
+ * @param {Object=} options  Any options for `EndpointPool`, plus:
+ *                           - records: The records the source starts with. Default none.
+ *                           - discoveryName: Default 'fake.service'.
+ *                           - ttl: Default 10000.
+ *                           - circuitBreaker: The `ejectOnErrorConfig`, if any.
+ *                           - now: The time the clock starts at.
+ * @return {EndpointPool}
+ */
+function createPool(options) {
+  options = options || {};
+  return new EndpointPool(
+    options.discoveryName || 'fake.service',
+    options.ttl || 10000,
+    options.circuitBreaker || null,
+    _.extend(_.omit(options, 'records', 'discoveryName', 'ttl', 'circuitBreaker', 'now'), {
+      source: new FakeSource(options.records),
+      clock: new FakeClock(options.now)
+    })
+  );
+}
+
+/**
+ * Updates the pool from its source now, rather than when the next refresh is due. Refreshes carry on from then, and
+ * health checks carry on as before.
+ *
+ * @param {EndpointPool} pool
+ */
+function refresh(pool) {
+  pool.clock.clearTimeout(pool._updateTimeout);
+  pool.update();
+}
+
+/**
+ * Opens the circuit of an endpoint, as if it had failed. It becomes half open after the `resetTimeout`, as usual.
+ *
+ * @param {EndpointPool} pool  A pool with a circuit breaker configuration.
+ * @param {String} url
+ */
+function eject(pool, url) {
+  pool.poolManager.ejectEndpoint(findEndpoint(pool, url), { cause: 'forced' });
+}
+
+/**
+ * Closes the circuit of an endpoint, with a clean error history.
+ *
+ * @param {EndpointPool} pool  A pool with a circuit breaker configuration.
+ * @param {String} url
+ */
+function restore(pool, url) {
+  pool.poolManager.restoreEndpoint(findEndpoint(pool, url), { cause: 'forced' });
+}
+
+function findEndpoint(pool, url) {
+  var endpoint = _.findWhere(pool.poolManager.endpoints, { url: url });
+  if (pool.poolManager.ejectEndpoint === _.noop) {
+    throw new Error('Forcing circuit states needs a circuit breaker configuration');
+  }
+  if (!endpoint) {
+    throw new Error('No endpoint ' + url + ' in the pool');
+  }
+  return endpoint;
+}
+
+/**
+ * Records which endpoints are handed out by a pool from now on.
+ *
+ * @param {EndpointPool} pool
+ */
+function TrafficRecorder(pool) {
+  this.pool = pool;
+  this.reset();
+}
+
+TrafficRecorder.prototype = {
+  /**
+   * @return {Object}  The number of times each endpoint was handed out, by url. Endpoints which were not are left out.
+   */
+  counts: function () {
+    var start = this._start;
+    return _.pick(_.mapObject(this.pool.getMetrics().selections, function (selections, url) {
+      return selections - (start[url] || 0);
+    }), Boolean);
+  },
+  /**
+   * Throws an `AssertionError` unless exactly these endpoints were handed out: either a list of urls, or the number of
+   * times for each url.
+   *
+   * @param {String[]|Object} expected
+   */
+  assertTraffic: function (expected) {
+    var counts = this.counts();
+    if (_.isArray(expected)) {
+      assert.deepStrictEqual(_.keys(counts).sort(), expected.slice().sort());
+    } else {
+      assert.deepStrictEqual(counts, _.pick(expected, Boolean));
+    }
+  },
+  /**
+   * Throws an `AssertionError` if any endpoint was handed out.
+   */
+  assertNoTraffic: function () {
+    this.assertTraffic([]);
+  },
+  /**
+   * Starts counting again from zero.
+   */
+  reset: function () {
+    this._start = this.pool.getMetrics().selections;
+  }
+};
+
+module.exports = {
+  FakeClock: FakeClock,
+  FakeSource: FakeSource,
+  TrafficRecorder: TrafficRecorder,
+  createPool: createPool,
+  refresh: refresh,
+  eject: eject,
+  restore: restore,
+  /**
+   * @param {EndpointPool} pool
+   * @return {TrafficRecorder}
+   */
+  recordTraffic: function (pool) {
+    return new TrafficRecorder(pool);
+  }
+};
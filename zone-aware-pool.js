@@ -0,0 +1,169 @@
+/*globals Promise */
+var _            = require('underscore');
+var EndpointPool = require('./index');
+var Events       = require('events');
+var util         = require('util');
+
+var DEFAULT_MIN_HEALTHY_PERCENT = 50;
+
+/**
+ * A pool over several service discovery names, one per zone, in order of preference: the first is the local zone.
+ * Each zone is an `EndpointPool` of its own, and so refreshes independently. Endpoints come from the first zone which
+ * has at least `minHealthyPercent` of its endpoints in the pool. When no zone does, they come from the first zone
+ * which can offer one at all.
+ *
+ * @param {{name: String, zone: String, source: *, snapshotStore: *}[]} zones
+ *        The discovery `name` and `zone` label of each zone, and optionally its own `source` (see `sources.js`) and
+ *        `snapshotStore` (see `snapshots.js`).
+ * @param {Number} ttl                                       As for `EndpointPool`.
+ * @param {Object=} ejectOnErrorConfig                       As for `EndpointPool`.
+ * @param {Object=} options                                  As for `EndpointPool`, except for `onReady` and
+ *                                                           `snapshotStore`, plus:
+ *                                                           - minHealthyPercent: Below this percentage of healthy
+ *                                                             endpoints, traffic spills over to the next zone.
+ *                                                             Default 50.
+ */
+function ZoneAwarePool(zones, ttl, ejectOnErrorConfig, options) {
+  if (!zones || !zones.length || !ttl) {
+    throw new Error('Must supply all arguments');
+  }
+  options = options || {};
+  // a store shared by the zones would seed each of them with whichever zone saved last
+  if (options.snapshotStore) {
+    throw new Error('Each zone needs a snapshotStore of its own');
+  }
+
+  Events.EventEmitter.call(this);
+
+  this.discoveryName = _.pluck(zones, 'name').join(', ');
+  this.minHealthyPercent = options.minHealthyPercent != null ? options.minHealthyPercent : DEFAULT_MIN_HEALTHY_PERCENT;
+  this.zones = zones.map(function (zone) {
+    var zoneOptions = _.extend(_.omit(options, 'onReady', 'minHealthyPercent'), _.pick(zone, 'source', 'snapshotStore'));
+    return {
+      zone: zone.zone,
+      pool: new EndpointPool(zone.name, ttl, ejectOnErrorConfig, zoneOptions)
+    };
+  });
+}
+
+util.inherits(ZoneAwarePool, Events.EventEmitter);
+
+_.extend(ZoneAwarePool.prototype, {
+  /**
+   * @param {String=} key  As for `EndpointPool#getEndpoint`, within the zone.
+   * @return {Lease=}      A lease as from `EndpointPool#getEndpoint`, which also has the `zone` it came from.
+   */
+  getEndpoint: function (key) {
+    var minHealthyPercent = this.minHealthyPercent;
+    var healthyZones = this.zones.filter(function (zone) {
+      return getHealthyPercent(zone.pool) >= minHealthyPercent;
+    });
+    var zones = healthyZones.concat(_.difference(this.zones, healthyZones));
+    var lease;
+    var i;
+
+    for (i = 0; i < zones.length; i++) {
+      lease = zones[i].pool.poolManager.getNextEndpoint({ key: key });
+      if (lease) {
+        lease.zone = zones[i].zone;
+        return lease;
+      }
+    }
+    this.emit('noEndpoints');
+    return null;
+  },
+
+  withEndpoint: EndpointPool.prototype.withEndpoint,
+
+  /**
+   * @param {String} zone
+   * @return {EndpointPool=}  The pool for the zone, eg: to listen to its events.
+   */
+  getPool: function (zone) {
+    var match = _.findWhere(this.zones, { zone: zone });
+    return match && match.pool;
+  },
+
+  hasEndpoints: function () {
+    return this.zones.some(function (zone) {
+      return zone.pool.hasEndpoints();
+    });
+  },
+
+  /**
+   * @return {Promise}  Resolves with the pool once any zone has endpoints.
+   */
+  ready: function () {
+    return Promise.race(this.zones.map(function (zone) {
+      return zone.pool.ready();
+    })).then(_.constant(this));
+  },
+
+  /**
+   * @param {{detailed: Boolean}=} options  As for `EndpointPool#getStatus`.
+   */
+  getStatus: function (options) {
+    var zones = this.zones.map(function (zone) {
+      return _.extend({
+        zone: zone.zone,
+        name: zone.pool.discoveryName
+      }, zone.pool.getStatus(options));
+    });
+    return {
+      total: sum(_.pluck(zones, 'total')),
+      unhealthy: sum(_.pluck(zones, 'unhealthy')),
+      zones: zones
+    };
+  },
+
+  /**
+   * @return {String}  The metrics of every zone's pool in the Prometheus text exposition format.
+   */
+  getPrometheusMetrics: function () {
+    return EndpointPool.metrics.toPrometheus(_.pluck(this.zones, 'pool'));
+  },
+
+  /**
+   * @param {Object} options  As for `EndpointPool#reconfigure`, applied to every zone.
+   */
+  reconfigure: function (options) {
+    this.zones.forEach(function (zone) {
+      zone.pool.reconfigure(options);
+    });
+  },
+
+  /**
+   * @param {String} url
+   * @param {?String} override  As for `EndpointPool#setOverride`, applied in every zone.
+   */
+  setOverride: function (url, override) {
+    this.zones.forEach(function (zone) {
+      zone.pool.setOverride(url, override);
+    });
+  },
+
+  stopUpdating: function () {
+    this.zones.forEach(function (zone) {
+      zone.pool.stopUpdating();
+    });
+  },
+
+  destroy: function () {
+    this.zones.forEach(function (zone) {
+      zone.pool.destroy();
+    });
+  }
+});
+
+function getHealthyPercent(pool) {
+  var status = pool.getStatus();
+  return status.total ? (status.total - status.unhealthy) / status.total * 100 : 0;
+}
+
+function sum(numbers) {
+  return numbers.reduce(function (total, n) {
+    return total + n;
+  }, 0);
+}
+
+module.exports = ZoneAwarePool;